@@ -0,0 +1,72 @@
+/**
+ * api/routes/admin.js
+ * Admin endpoints
+ */
+
+const evaluationService = require("../services/evaluation.service");
+const { InputError } = require("../../core/errors");
+const { ModelPackError } = require("../../core/modelPack");
+const { MAX_SKILLS, skillNameSchema } = require("../schemas");
+
+// Each record is one prediction per model, so both lists are bounded
+const MAX_RECORDS = 5000;
+const MAX_MODELS = 5;
+
+module.exports = async function adminRoutes(fastify, options) {
+  /**
+   * POST /api/admin/evaluate - Evaluate models against labeled data
+   */
+  fastify.post(
+    "/api/admin/evaluate",
+    {
+      schema: {
+        tags: ["admin"],
+        body: {
+          type: "object",
+          required: ["records"],
+          properties: {
+            records: {
+              type: "array",
+              minItems: 1,
+              maxItems: MAX_RECORDS,
+              items: {
+                type: "object",
+                required: ["skills", "salary"],
+                properties: {
+                  skills: {
+                    type: "array",
+                    items: skillNameSchema,
+                    minItems: 1,
+                    maxItems: MAX_SKILLS,
+                  },
+                  region: { type: "string" },
+                  experienceYears: { type: "number", minimum: 0 },
+                  salary: { type: "number", exclusiveMinimum: 0 },
+                  currency: { type: "string", pattern: "^[A-Z]{3}$" },
+                },
+              },
+            },
+            models: {
+              type: "array",
+              items: { type: "object" },
+              maxItems: MAX_MODELS,
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { records, models = [] } = request.body;
+
+      try {
+        return evaluationService.evaluate(records, models);
+      } catch (error) {
+        // Bad records or candidate packs are the client's; anything else is a server error
+        if (error instanceof InputError || error instanceof ModelPackError) {
+          return reply.code(400).send({ error: error.message });
+        }
+        throw error;
+      }
+    }
+  );
+};
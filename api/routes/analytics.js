@@ -53,21 +53,34 @@ module.exports = async function analyticsRoutes(fastify, options) {
         querystring: {
           type: "object",
           properties: {
+            region: { type: "string" },
             limit: { type: "number", default: 20 },
           },
         },
       },
     },
     async (request, reply) => {
-      const { limit = 20 } = request.query;
+      const { region, limit = 20 } = request.query;
+
+      const where = region ? { region } : {};
 
       const predictions = await prisma.prediction.findMany({
-        select: { skills: true, estimatedSalary: true },
+        where,
+        select: {
+          skills: true,
+          estimatedSalary: true,
+          currency: true,
+          period: true,
+        },
       });
 
       const topSkills = analyticsService.getTopSkills(predictions, limit);
 
-      return { topSkills };
+      return {
+        currency: analyticsService.currency,
+        period: analyticsService.period,
+        topSkills,
+      };
     }
   );
 };
@@ -0,0 +1,141 @@
+/**
+ * api/routes/compensation.js
+ * Compensation planning endpoints
+ */
+
+const predictionService = require("../services/prediction.service");
+const { bandsToCsv } = require("../../core/bands");
+const {
+  skillSchema,
+  outputProperties,
+  profileProperties,
+  remoteProperties,
+  itemProperties,
+} = require("../schemas");
+
+module.exports = async function compensationRoutes(fastify, options) {
+  /**
+   * POST /api/offers/evaluate - Place an offer in the predicted market
+   */
+  fastify.post(
+    "/api/offers/evaluate",
+    {
+      schema: {
+        tags: ["compensation"],
+        body: {
+          type: "object",
+          required: ["skills", "offer"],
+          properties: {
+            skills: skillSchema,
+            region: { type: "string" },
+            location: { type: "string" },
+            experienceYears: { type: "number", minimum: 0, maximum: 50 },
+            ...profileProperties,
+            ...remoteProperties,
+            offer: {
+              type: "object",
+              required: ["amount"],
+              properties: {
+                amount: { type: "number", exclusiveMinimum: 0 },
+                currency: outputProperties.targetCurrency,
+                period: outputProperties.period,
+              },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { skills, offer, experienceYears = 0, ...profile } = request.body;
+
+      return predictionService.evaluateOffer(skills, offer, {
+        ...profile,
+        experienceYears,
+      });
+    }
+  );
+
+  /**
+   * POST /api/teams/estimate - Cost of a hiring plan
+   */
+  fastify.post(
+    "/api/teams/estimate",
+    {
+      schema: {
+        tags: ["compensation"],
+        body: {
+          type: "object",
+          required: ["positions"],
+          properties: {
+            positions: {
+              type: "array",
+              minItems: 1,
+              maxItems: 50,
+              items: {
+                type: "object",
+                anyOf: [{ required: ["skills"] }, { required: ["role"] }],
+                properties: {
+                  label: { type: "string", minLength: 1 },
+                  skills: skillSchema,
+                  ...itemProperties,
+                  headcount: { type: "integer", minimum: 1, default: 1 },
+                  startMonth: { type: "integer", minimum: 1, default: 1 },
+                },
+                additionalProperties: false,
+              },
+            },
+            currency: { ...outputProperties.targetCurrency, default: "USD" },
+            months: { type: "integer", minimum: 1, maximum: 60, default: 12 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { positions, currency, months } = request.body;
+
+      return predictionService.estimateTeam(positions, { currency, months });
+    }
+  );
+
+  /**
+   * POST /api/bands - Pay bands per job level
+   */
+  fastify.post(
+    "/api/bands",
+    {
+      schema: {
+        tags: ["compensation"],
+        body: {
+          type: "object",
+          anyOf: [{ required: ["family"] }, { required: ["skills"] }],
+          properties: {
+            family: profileProperties.role,
+            skills: skillSchema,
+            region: { type: "string" },
+            location: { type: "string" },
+            employmentType: profileProperties.employmentType,
+            ...outputProperties,
+            format: { type: "string", enum: ["json", "csv"], default: "json" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { format, ...options } = request.body;
+      const result = predictionService.generateBands(options);
+
+      if (format === "csv") {
+        reply
+          .type("text/csv; charset=utf-8")
+          .header(
+            "Content-Disposition",
+            `attachment; filename="bands-${result.role || "custom"}-${
+              result.region
+            }.csv"`
+          );
+        return bandsToCsv(result);
+      }
+      return result;
+    }
+  );
+};
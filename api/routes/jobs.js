@@ -5,6 +5,8 @@
 
 const { PrismaClient } = require("@prisma/client");
 const jobService = require("../services/job.service");
+const predictionService = require("../services/prediction.service");
+const { skillName } = require("../../core/proficiency");
 const { jobRequestSchema } = require("../schemas");
 
 const prisma = new PrismaClient();
@@ -24,15 +26,53 @@ module.exports = async function jobRoutes(fastify, options) {
     async (request, reply) => {
       const {
         skills,
-        region = "US",
+        location,
         experienceYears = 0,
+        role,
+        level,
+        employmentType,
+        certifications,
+        education,
+        industry,
+        companySize,
+        companyStage,
+        employerRegion,
+        payPolicy,
+        blendWeight,
+        geoTiers,
+        targetCurrency,
+        period,
+        asOf,
         webhookUrl,
         metadata,
       } = request.body;
 
+      // Resolve the region from the location, rejecting unknown locations before queueing
+      const { region } = predictionService.createPredictor({
+        region: request.body.region,
+        employeeRegion: request.body.employeeRegion,
+        location,
+      });
+
       const job = await jobService.scheduleJob(skills, {
         region,
+        location,
         experienceYears,
+        role,
+        level,
+        employmentType,
+        certifications,
+        education,
+        industry,
+        companySize,
+        companyStage,
+        employerRegion,
+        payPolicy,
+        blendWeight,
+        geoTiers,
+        targetCurrency,
+        period,
+        asOf,
         webhookUrl,
         metadata,
       });
@@ -42,9 +82,21 @@ module.exports = async function jobRoutes(fastify, options) {
         await prisma.job.create({
           data: {
             jobId: job.jobId,
-            skills: skills.join(","),
+            skills: skills.map(skillName).join(","),
             region,
+            location,
             experienceYears,
+            role,
+            level,
+            employmentType,
+            certifications: certifications ? certifications.join(",") : null,
+            education,
+            industry,
+            companySize,
+            companyStage,
+            employerRegion,
+            payPolicy,
+            asOf: asOf === undefined ? null : String(asOf),
             status: job.status,
             webhookUrl,
             metadata: metadata ? JSON.stringify(metadata) : null,
@@ -5,7 +5,21 @@
 
 const { PrismaClient } = require("@prisma/client");
 const predictionService = require("../services/prediction.service");
-const { predictionRequestSchema, skillSchema } = require("../schemas");
+const { skillName } = require("../../core/proficiency");
+const {
+  MAX_SKILLS,
+  predictionRequestSchema,
+  skillNameSchema,
+  skillSchema,
+  textSchema,
+  asOfSchema,
+  outputProperties,
+  profileProperties,
+  credentialProperties,
+  companyProperties,
+  remoteProperties,
+  itemProperties,
+} = require("../schemas");
 
 const prisma = new PrismaClient();
 
@@ -31,8 +45,96 @@ module.exports = async function predictionRoutes(fastify, options) {
                   max: { type: "number" },
                 },
               },
+              percentiles: {
+                type: "object",
+                properties: {
+                  p10: { type: "number" },
+                  p25: { type: "number" },
+                  p50: { type: "number" },
+                  p75: { type: "number" },
+                  p90: { type: "number" },
+                },
+              },
               currency: { type: "string" },
+              period: { type: "string" },
+              exchangeRate: {
+                type: "object",
+                properties: {
+                  from: { type: "string" },
+                  to: { type: "string" },
+                  rate: { type: "number" },
+                  date: { type: "string" },
+                },
+              },
               region: { type: "string" },
+              location: {
+                type: ["object", "null"],
+                properties: {
+                  id: { type: "string" },
+                  name: { type: "string" },
+                  level: { type: "string" },
+                  region: { type: "string" },
+                  path: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        id: { type: "string" },
+                        name: { type: "string" },
+                        level: { type: "string" },
+                      },
+                    },
+                  },
+                  multiplier: { type: "number" },
+                  multiplierSource: { type: "string" },
+                  currency: { type: ["string", "null"] },
+                },
+              },
+              modelVersion: { type: "string" },
+              asOf: { type: "string" },
+              role: { type: ["string", "null"] },
+              level: { type: ["string", "null"] },
+              employmentType: { type: "string" },
+              education: { type: ["string", "null"] },
+              industry: { type: ["string", "null"] },
+              companySize: { type: ["string", "null"] },
+              companyStage: { type: ["string", "null"] },
+              totalCompensation: { type: "number" },
+              employerRegion: { type: "string" },
+              payPolicy: { type: "string" },
+              payPolicies: { type: "object", additionalProperties: true },
+              breakdown: { type: "object", additionalProperties: true },
+              skills: {
+                type: "object",
+                properties: {
+                  matched: { type: "array", items: { type: "string" } },
+                  unmatched: { type: "array", items: { type: "string" } },
+                  total: { type: "number" },
+                  resolved: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        input: { type: "string" },
+                        skill: { type: ["string", "null"] },
+                        method: { type: ["string", "null"] },
+                      },
+                    },
+                  },
+                  suggestions: {
+                    type: "object",
+                    additionalProperties: {
+                      type: "array",
+                      items: { type: "string" },
+                    },
+                  },
+                  proficiency: { type: "object", additionalProperties: true },
+                },
+              },
+              credentials: { type: "object", additionalProperties: true },
+              activeCombos: { type: "array", items: { type: "string" } },
+              explanation: { type: "object", additionalProperties: true },
+              extracted: { type: "object", additionalProperties: true },
               confidence: { type: "number" },
               executionTimeMs: { type: "number" },
             },
@@ -42,29 +144,99 @@ module.exports = async function predictionRoutes(fastify, options) {
     },
     async (request, reply) => {
       const {
-        skills,
-        region = "US",
-        experienceYears = 0,
+        text,
+        region,
+        location,
+        role,
+        level,
+        employmentType,
+        certifications,
+        education,
+        industry,
+        companySize,
+        companyStage,
+        employeeRegion,
+        employerRegion,
+        payPolicy,
+        blendWeight,
+        geoTiers,
+        targetCurrency,
+        period,
+        asOf,
+        explain = false,
         saveResult = false,
       } = request.body;
+      let { skills = [], experienceYears } = request.body;
+
+      // Skills and experience found in pasted text add to the explicit ones
+      let extracted;
+      if (text) {
+        extracted = predictionService.extract(text);
+        skills = [...skills, ...extracted.skills];
+        if (experienceYears === undefined) {
+          experienceYears = extracted.experienceYears;
+        }
+        if (skills.length === 0) {
+          return reply.code(400).send({ error: "No skills found in text" });
+        }
+      }
+      if (experienceYears === undefined || experienceYears === null) {
+        experienceYears = 0;
+      }
 
       const result = predictionService.predict(skills, {
         region,
+        location,
         experienceYears,
+        role,
+        level,
+        employmentType,
+        certifications,
+        education,
+        industry,
+        companySize,
+        companyStage,
+        employeeRegion,
+        employerRegion,
+        payPolicy,
+        blendWeight,
+        geoTiers,
+        targetCurrency,
+        period,
+        asOf,
+        explain,
       });
+      if (extracted) {
+        result.extracted = extracted;
+      }
 
       // Optionally save to database
       if (saveResult) {
         try {
           await prisma.prediction.create({
             data: {
-              skills: skills.join(","),
-              region,
+              skills: skills.map(skillName).join(","),
+              region: result.region,
+              location: result.location ? result.location.id : null,
               experienceYears,
+              role: result.role,
+              level: result.level,
+              employmentType: result.employmentType,
+              certifications: result.credentials.matched.join(",") || null,
+              education: result.education,
+              industry: result.industry,
+              companySize: result.companySize,
+              companyStage: result.companyStage,
+              employerRegion: result.employerRegion || null,
+              payPolicy: result.payPolicy || null,
               estimatedSalary: result.estimatedSalary,
               minSalary: result.salaryRange.min,
               maxSalary: result.salaryRange.max,
+              currency: result.currency,
+              period: result.period,
               confidence: result.confidence,
+              modelVersion: result.modelVersion,
+              asOf: result.asOf,
               metadata: JSON.stringify(result),
             },
           });
@@ -77,6 +249,28 @@ module.exports = async function predictionRoutes(fastify, options) {
     }
   );
 
+  /**
+   * POST /api/extract - Extract skills and experience from text
+   */
+  fastify.post(
+    "/api/extract",
+    {
+      schema: {
+        tags: ["predictions"],
+        body: {
+          type: "object",
+          required: ["text"],
+          properties: {
+            text: textSchema,
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return predictionService.extract(request.body.text);
+    }
+  );
+
   /**
    * POST /api/batch - Batch prediction
    */
@@ -91,20 +285,78 @@ module.exports = async function predictionRoutes(fastify, options) {
           properties: {
             skillSets: {
               type: "array",
-              items: skillSchema,
+              items: {
+                oneOf: [
+                  skillSchema,
+                  {
+                    type: "object",
+                    required: ["skills"],
+                    properties: { skills: skillSchema, ...itemProperties },
+                    additionalProperties: false,
+                  },
+                ],
+              },
             },
             region: { type: "string" },
+            location: { type: "string" },
             experienceYears: { type: "number" },
+            ...profileProperties,
+            ...credentialProperties,
+            ...companyProperties,
+            ...remoteProperties,
+            ...outputProperties,
+            asOf: asOfSchema,
+            explain: { type: "boolean", default: false },
           },
         },
       },
     },
     async (request, reply) => {
-      const { skillSets, region = "US", experienceYears = 0 } = request.body;
+      const {
+        skillSets,
+        region,
+        location,
+        experienceYears = 0,
+        role,
+        level,
+        employmentType,
+        certifications,
+        education,
+        industry,
+        companySize,
+        companyStage,
+        employeeRegion,
+        employerRegion,
+        payPolicy,
+        blendWeight,
+        geoTiers,
+        targetCurrency,
+        period,
+        asOf,
+        explain = false,
+      } = request.body;
 
       const results = predictionService.batchPredict(skillSets, {
         region,
+        location,
         experienceYears,
+        role,
+        level,
+        employmentType,
+        certifications,
+        education,
+        industry,
+        companySize,
+        companyStage,
+        employeeRegion,
+        employerRegion,
+        payPolicy,
+        blendWeight,
+        geoTiers,
+        targetCurrency,
+        period,
+        asOf,
+        explain,
       });
 
       return {
@@ -118,6 +370,287 @@ module.exports = async function predictionRoutes(fastify, options) {
     }
   );
 
+  /**
+   * POST /api/predict/regions - Predict one profile across all regions
+   */
+  fastify.post(
+    "/api/predict/regions",
+    {
+      schema: {
+        tags: ["predictions"],
+        body: {
+          type: "object",
+          required: ["skills"],
+          properties: {
+            skills: skillSchema,
+            experienceYears: { type: "number", minimum: 0, maximum: 50 },
+            currency: { type: "string", pattern: "^[A-Z]{3}$", default: "USD" },
+            period: outputProperties.period,
+            sortBy: {
+              type: "string",
+              enum: ["ppp", "converted"],
+              default: "ppp",
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const {
+        skills,
+        experienceYears = 0,
+        currency,
+        period,
+        sortBy,
+      } = request.body;
+
+      return predictionService.predictAcrossRegions(skills, {
+        experienceYears,
+        currency,
+        period,
+        sortBy,
+      });
+    }
+  );
+
+  /**
+   * POST /api/recommendations - Rank skills to learn next by salary uplift
+   */
+  fastify.post(
+    "/api/recommendations",
+    {
+      schema: {
+        tags: ["predictions"],
+        body: {
+          type: "object",
+          required: ["skills"],
+          properties: {
+            skills: skillSchema,
+            region: { type: "string" },
+            location: { type: "string" },
+            experienceYears: { type: "number", minimum: 0, maximum: 50 },
+            ...profileProperties,
+            ...outputProperties,
+            limit: { type: "integer", minimum: 1, maximum: 50, default: 10 },
+            budget: { type: "integer", minimum: 0, maximum: 10, default: 3 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const {
+        skills,
+        region,
+        location,
+        experienceYears = 0,
+        role,
+        level,
+        employmentType,
+        targetCurrency,
+        period,
+        limit,
+        budget,
+      } = request.body;
+
+      return predictionService.recommend(skills, {
+        region,
+        location,
+        experienceYears,
+        role,
+        level,
+        employmentType,
+        targetCurrency,
+        period,
+        limit,
+        budget,
+      });
+    }
+  );
+
+  /**
+   * POST /api/skill-gap - Skills and experience needed to reach a target
+   */
+  fastify.post(
+    "/api/skill-gap",
+    {
+      schema: {
+        tags: ["predictions"],
+        body: {
+          type: "object",
+          required: ["skills"],
+          anyOf: [{ required: ["targetSalary"] }, { required: ["targetRole"] }],
+          properties: {
+            skills: skillSchema,
+            region: { type: "string" },
+            location: { type: "string" },
+            experienceYears: { type: "number", minimum: 0, maximum: 50 },
+            ...profileProperties,
+            ...outputProperties,
+            targetSalary: { type: "number", exclusiveMinimum: 0 },
+            targetRole: profileProperties.role,
+            maxSkills: { type: "integer", minimum: 1, maximum: 5, default: 3 },
+            maxYears: { type: "integer", minimum: 0, maximum: 20, default: 10 },
+            paths: { type: "integer", minimum: 1, maximum: 10, default: 3 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const {
+        skills,
+        region,
+        location,
+        experienceYears = 0,
+        role,
+        level,
+        employmentType,
+        targetCurrency,
+        period,
+        targetSalary,
+        targetRole,
+        maxSkills,
+        maxYears,
+        paths,
+      } = request.body;
+
+      return predictionService.analyzeGap(skills, {
+        region,
+        location,
+        experienceYears,
+        role,
+        level,
+        employmentType,
+        targetCurrency,
+        period,
+        targetSalary,
+        targetRole,
+        maxSkills,
+        maxYears,
+        paths,
+      });
+    }
+  );
+
+  /**
+   * POST /api/trajectory - Salary projection over the coming years
+   */
+  fastify.post(
+    "/api/trajectory",
+    {
+      schema: {
+        tags: ["predictions"],
+        body: {
+          type: "object",
+          required: ["skills"],
+          properties: {
+            skills: skillSchema,
+            region: { type: "string" },
+            location: { type: "string" },
+            experienceYears: { type: "number", minimum: 0, maximum: 50 },
+            ...profileProperties,
+            ...outputProperties,
+            years: { type: "integer", minimum: 1, maximum: 40, default: 5 },
+            plannedSkills: {
+              type: "array",
+              items: {
+                oneOf: [
+                  skillNameSchema,
+                  {
+                    ...skillSchema.items.oneOf[1],
+                    properties: {
+                      ...skillSchema.items.oneOf[1].properties,
+                      year: { type: "integer", minimum: 1 },
+                    },
+                  },
+                ],
+              },
+              maxItems: MAX_SKILLS,
+              default: [],
+            },
+            marketGrowth: {
+              type: "number",
+              exclusiveMinimum: -0.5,
+              exclusiveMaximum: 0.5,
+              default: 0,
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const {
+        skills,
+        region,
+        location,
+        experienceYears = 0,
+        role,
+        level,
+        employmentType,
+        targetCurrency,
+        period,
+        years,
+        plannedSkills,
+        marketGrowth,
+      } = request.body;
+
+      return predictionService.projectTrajectory(skills, {
+        region,
+        location,
+        experienceYears,
+        role,
+        level,
+        employmentType,
+        targetCurrency,
+        period,
+        years,
+        plannedSkills,
+        marketGrowth,
+      });
+    }
+  );
+
+  /**
+   * POST /api/compare - Compare two to five profiles side by side
+   */
+  fastify.post(
+    "/api/compare",
+    {
+      schema: {
+        tags: ["predictions"],
+        body: {
+          type: "object",
+          required: ["profiles"],
+          properties: {
+            profiles: {
+              type: "array",
+              minItems: 2,
+              maxItems: 5,
+              items: {
+                type: "object",
+                required: ["skills"],
+                properties: {
+                  label: { type: "string", minLength: 1 },
+                  skills: skillSchema,
+                  region: { type: "string" },
+                  location: { type: "string" },
+                  experienceYears: { type: "number", minimum: 0, maximum: 50 },
+                  ...profileProperties,
+                },
+              },
+            },
+            currency: { type: "string", pattern: "^[A-Z]{3}$", default: "USD" },
+            period: outputProperties.period,
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { profiles, currency, period } = request.body;
+
+      return predictionService.compare(profiles, { currency, period });
+    }
+  );
+
   /**
    * GET /api/skills - List supported skills
    */
@@ -139,7 +672,7 @@ module.exports = async function predictionRoutes(fastify, options) {
   );
 
   /**
-   * GET /api/regions - List supported regions
+   * GET /api/regions - List supported regions and their locations
    */
   fastify.get(
     "/api/regions",
@@ -154,6 +687,7 @@ module.exports = async function predictionRoutes(fastify, options) {
       return {
         regions,
         count: regions.length,
+        locations: predictionService.getLocationTree(),
       };
     }
   );
@@ -3,22 +3,125 @@
  * Validation schemas for API endpoints
  */
 
+// Skill and certification names are matched at a cost that grows with their
+// length, so both the lists and each name are bounded
+const MAX_SKILLS = 100;
+const MAX_NAME_LENGTH = 64;
+
+const skillNameSchema = { type: "string", maxLength: MAX_NAME_LENGTH };
+
+// Roles, levels and the like are keys of the active model pack, which may
+// differ from core/data, so the predictor checks them (an InputError lists
+// the supported keys)
+const keySchema = { type: "string", minLength: 1, maxLength: MAX_NAME_LENGTH };
+
 const skillSchema = {
   type: "array",
-  items: { type: "string" },
+  items: {
+    oneOf: [
+      skillNameSchema,
+      {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", minLength: 1, maxLength: MAX_NAME_LENGTH },
+          level: keySchema,
+          years: { type: "number", minimum: 0 },
+          lastUsed: { anyOf: [{ type: "integer" }, { type: "string" }] },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
   minItems: 1,
+  maxItems: MAX_SKILLS,
+};
+
+const outputProperties = {
+  targetCurrency: { type: "string", pattern: "^[A-Z]{3}$" },
+  period: {
+    type: "string",
+    enum: ["annual", "monthly", "daily", "hourly"],
+  },
+};
+
+const profileProperties = {
+  role: keySchema,
+  level: keySchema,
+  employmentType: keySchema,
+};
+
+const credentialProperties = {
+  certifications: {
+    type: "array",
+    items: { type: "string", minLength: 1, maxLength: MAX_NAME_LENGTH },
+    maxItems: 20,
+  },
+  education: keySchema,
+};
+
+const companyProperties = {
+  industry: keySchema,
+  companySize: keySchema,
+  companyStage: keySchema,
+};
+
+// Date a prediction is for: a year, a month or a day
+const asOfSchema = {
+  anyOf: [
+    { type: "integer", minimum: 1900, maximum: 2100 },
+    { type: "string", pattern: "^\\d{4}(-\\d{2}(-\\d{2})?)?$" },
+  ],
+};
+
+const textSchema = { type: "string", minLength: 1, maxLength: 100000 };
+
+const remoteProperties = {
+  employeeRegion: { type: "string" },
+  employerRegion: { type: "string" },
+  payPolicy: {
+    type: "string",
+    enum: ["local", "employer", "blend", "geo-tier"],
+  },
+  blendWeight: { type: "number", minimum: 0, maximum: 1 },
+  geoTiers: {
+    type: "object",
+    additionalProperties: { type: "number", exclusiveMinimum: 0 },
+  },
+};
+
+// Where and who a single profile is, for endpoints that price several
+// profiles with their own options
+const itemProperties = {
+  region: { type: "string" },
+  location: { type: "string" },
+  experienceYears: { type: "number", minimum: 0, maximum: 50 },
+  ...profileProperties,
+  ...credentialProperties,
+  ...companyProperties,
+  ...remoteProperties,
+  asOf: asOfSchema,
 };
 
 const predictionRequestSchema = {
   type: "object",
-  required: ["skills"],
+  anyOf: [{ required: ["skills"] }, { required: ["text"] }],
   properties: {
     skills: skillSchema,
+    text: textSchema,
     region: {
       type: "string",
       enum: ["US", "EU", "UK", "CA", "AU", "IN", "NG", "LATAM", "APAC"],
     },
+    location: { type: "string" },
     experienceYears: { type: "number", minimum: 0, maximum: 50 },
+    ...profileProperties,
+    ...credentialProperties,
+    ...companyProperties,
+    ...remoteProperties,
+    ...outputProperties,
+    asOf: asOfSchema,
+    explain: { type: "boolean", default: false },
     saveResult: { type: "boolean", default: false },
   },
 };
@@ -29,14 +132,31 @@ const jobRequestSchema = {
   properties: {
     skills: skillSchema,
     region: { type: "string" },
+    location: { type: "string" },
     experienceYears: { type: "number" },
+    ...profileProperties,
+    ...credentialProperties,
+    ...companyProperties,
+    ...remoteProperties,
+    ...outputProperties,
+    asOf: asOfSchema,
     webhookUrl: { type: "string", format: "uri" },
     metadata: { type: "object" },
   },
 };
 
 module.exports = {
+  MAX_SKILLS,
+  skillNameSchema,
   skillSchema,
+  textSchema,
+  asOfSchema,
+  outputProperties,
+  profileProperties,
+  credentialProperties,
+  companyProperties,
+  remoteProperties,
+  itemProperties,
   predictionRequestSchema,
   jobRequestSchema,
 };
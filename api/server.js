@@ -13,6 +13,8 @@ const predictionRoutes = require("./routes/predictions");
 const jobRoutes = require("./routes/jobs");
 const analyticsRoutes = require("./routes/analytics");
 const webhookRoutes = require("./routes/webhooks");
+const adminRoutes = require("./routes/admin");
+const compensationRoutes = require("./routes/compensation");
 
 // Initialize Prisma
 const prisma = new PrismaClient();
@@ -41,6 +43,11 @@ fastify.register(require("@fastify/swagger"), {
       { name: "predictions", description: "Salary prediction endpoints" },
       { name: "jobs", description: "Job queue endpoints" },
       { name: "analytics", description: "Analytics endpoints" },
+      { name: "admin", description: "Model administration endpoints" },
+      {
+        name: "compensation",
+        description: "Offer, team budget and pay band endpoints",
+      },
     ],
   },
 });
@@ -59,6 +66,8 @@ fastify.register(predictionRoutes);
 fastify.register(jobRoutes);
 fastify.register(analyticsRoutes);
 fastify.register(webhookRoutes);
+fastify.register(adminRoutes);
+fastify.register(compensationRoutes);
 
 // Error handler
 fastify.setErrorHandler((error, request, reply) => {
@@ -3,16 +3,50 @@
  * Service for handling analytics and statistics
  */
 
+const {
+  loadExchangeRates,
+  convertCurrency,
+  periodsPerYear,
+} = require("../../core/currency");
+
+// Predictions are saved in the currency and pay period each caller asked
+// for, so statistics compare them as annual amounts in one currency
+const REPORT_CURRENCY = "USD";
+const REPORT_PERIOD = "annual";
+
 class AnalyticsService {
+  constructor() {
+    // Optional path to an exchange rate table; the built-in rates are used when unset
+    this.exchangeRates = loadExchangeRates(process.env.EXCHANGE_RATES);
+    this.currency = REPORT_CURRENCY;
+    this.period = REPORT_PERIOD;
+  }
+
+  /**
+   * Annual amount of a saved prediction in the report currency
+   * @param {object} prediction - Prediction record (estimatedSalary, currency, period)
+   * @returns {number} Annual salary in REPORT_CURRENCY
+   */
+  annualSalary(prediction) {
+    return convertCurrency(
+      prediction.estimatedSalary * periodsPerYear(prediction.period),
+      prediction.currency,
+      REPORT_CURRENCY,
+      this.exchangeRates
+    );
+  }
+
   /**
    * Calculate salary trends from predictions
    * @param {object[]} predictions - Array of prediction records
-   * @returns {object} Statistics object
+   * @returns {object} Statistics object, amounts annual in REPORT_CURRENCY
    */
   calculateTrends(predictions) {
     if (predictions.length === 0) {
       return {
         count: 0,
+        currency: REPORT_CURRENCY,
+        period: REPORT_PERIOD,
         statistics: {
           average: 0,
           median: 0,
@@ -23,18 +57,20 @@ class AnalyticsService {
       };
     }
 
-    const salaries = predictions.map((p) => p.estimatedSalary);
+    const salaries = predictions.map((p) => this.annualSalary(p));
     const avg = salaries.reduce((a, b) => a + b, 0) / salaries.length;
     const sorted = [...salaries].sort((a, b) => a - b);
     const median = sorted[Math.floor(sorted.length / 2)];
 
     return {
       count: predictions.length,
+      currency: REPORT_CURRENCY,
+      period: REPORT_PERIOD,
       statistics: {
         average: Math.round(avg),
-        median,
-        min: Math.min(...salaries),
-        max: Math.max(...salaries),
+        median: Math.round(median),
+        min: Math.round(sorted[0]),
+        max: Math.round(sorted[sorted.length - 1]),
       },
       recentPredictions: predictions.slice(0, 10),
     };
@@ -44,20 +80,21 @@ class AnalyticsService {
    * Calculate top skills by occurrence and average salary
    * @param {object[]} predictions - Array of prediction records
    * @param {number} limit - Number of top skills to return
-   * @returns {object[]} Array of top skills with stats
+   * @returns {object[]} Array of top skills with stats, averages annual in REPORT_CURRENCY
    */
   getTopSkills(predictions, limit = 20) {
     const skillStats = {};
 
     predictions.forEach((p) => {
+      const salary = this.annualSalary(p);
       const skills = p.skills.split(",");
       skills.forEach((skill) => {
         const normalized = skill.trim().toLowerCase();
-        if (!skillStats[normalized]) {
+        if (!Object.hasOwn(skillStats, normalized)) {
           skillStats[normalized] = { count: 0, totalSalary: 0 };
         }
         skillStats[normalized].count++;
-        skillStats[normalized].totalSalary += p.estimatedSalary;
+        skillStats[normalized].totalSalary += salary;
       });
     });
 
@@ -0,0 +1,25 @@
+/**
+ * api/services/evaluation.service.js
+ * Service for evaluating models against labeled salary data
+ */
+
+const { normalizeRecords } = require("../../core/dataset");
+const { compareModels } = require("../../core/evaluation");
+const predictionService = require("./prediction.service");
+
+class EvaluationService {
+  /**
+   * Evaluate the active model, and optionally candidate model packs
+   * @param {object[]} records - Labeled records (skills, region, experienceYears, salary)
+   * @param {object[]} models - Candidate model packs to compare with the active model
+   * @returns {object} Evaluations sorted by MAE and the best model version
+   */
+  evaluate(records, models = []) {
+    return compareModels(normalizeRecords(records), [
+      predictionService.model,
+      ...models,
+    ]);
+  }
+}
+
+module.exports = new EvaluationService();
@@ -7,32 +7,83 @@ const { JobQueue } = require("../../core/predictor");
 
 class JobService {
   constructor() {
-    this.jobQueue = new JobQueue();
+    this.jobQueue = new JobQueue({
+      model: process.env.MODEL_PACK,
+      exchangeRates: process.env.EXCHANGE_RATES,
+    });
     // Cleanup old jobs every hour
     setInterval(() => this.jobQueue.cleanup(), 3600000);
   }
 
   /**
    * Schedule a prediction job
-   * @param {string[]} skills - Array of skills
+   * @param {Array<string|Object>} skills - Skill names or { name, level, years, lastUsed } objects
    * @param {object} options - Options object
    * @param {string} options.region - Region code
+   * @param {string} options.location - Country code or metro id
    * @param {number} options.experienceYears - Years of experience
+   * @param {string} options.role - Role
+   * @param {string} options.level - Seniority level
+   * @param {string} options.employmentType - Employment type
+   * @param {string[]} options.certifications - Certifications
+   * @param {string} options.education - Highest degree
+   * @param {string} options.industry - Employer's industry
+   * @param {string} options.companySize - Employer's size
+   * @param {string} options.companyStage - Employer's funding stage
+   * @param {string} options.employerRegion - Employer's region, for remote work
+   * @param {string} options.payPolicy - Remote pay policy
+   * @param {string} options.targetCurrency - Output currency
+   * @param {string} options.period - Output pay period
+   * @param {string|number} options.asOf - Date the prediction is for
    * @param {string} options.webhookUrl - Optional webhook URL
    * @param {object} options.metadata - Optional metadata
    * @returns {object} Job info with jobId and status
    */
   async scheduleJob(skills, options = {}) {
     const {
-      region = "US",
+      region,
+      location,
       experienceYears = 0,
+      role,
+      level,
+      employmentType,
+      certifications,
+      education,
+      industry,
+      companySize,
+      companyStage,
+      employeeRegion,
+      employerRegion,
+      payPolicy,
+      blendWeight,
+      geoTiers,
+      targetCurrency,
+      period,
+      asOf,
       webhookUrl,
       metadata,
     } = options;
 
     return await this.jobQueue.scheduleJob(skills, {
-      region,
+      region: region || (location || employeeRegion ? undefined : "US"),
+      location,
       experienceYears,
+      role,
+      level,
+      employmentType,
+      certifications,
+      education,
+      industry,
+      companySize,
+      companyStage,
+      employeeRegion,
+      employerRegion,
+      payPolicy,
+      blendWeight,
+      geoTiers,
+      targetCurrency,
+      period,
+      asOf,
       webhookUrl,
       metadata,
     });
@@ -4,34 +4,305 @@
  */
 
 const { SalaryPredictor } = require("../../core/predictor");
+const { compareProfiles } = require("../../core/comparison");
+const { estimateTeam } = require("../../core/teams");
+const { InputError } = require("../../core/errors");
+
+// Options that say where an employee is
+const PLACE_OPTIONS = ["region", "location", "employeeRegion"];
 
 class PredictionService {
+  constructor() {
+    // Optional paths to a model pack and an exchange rate table;
+    // the built-in model and rates are used when unset
+    this.model = process.env.MODEL_PACK;
+    this.exchangeRates = process.env.EXCHANGE_RATES;
+  }
+
+  /**
+   * Create a predictor using the configured model and exchange rates
+   * @param {object} options - Predictor options
+   * @returns {SalaryPredictor} Predictor
+   */
+  createPredictor(options = {}) {
+    const {
+      region,
+      location,
+      experienceYears = 0,
+      role,
+      level,
+      employmentType,
+      certifications,
+      education,
+      industry,
+      companySize,
+      companyStage,
+      employeeRegion,
+      employerRegion,
+      payPolicy,
+      blendWeight,
+      geoTiers,
+      targetCurrency,
+      period,
+      asOf,
+    } = options;
+
+    // A location implies its region; otherwise default to US
+    return new SalaryPredictor({
+      region: region || (location || employeeRegion ? undefined : "US"),
+      location,
+      experienceYears,
+      role,
+      level,
+      employmentType,
+      certifications,
+      education,
+      industry,
+      companySize,
+      companyStage,
+      employeeRegion,
+      employerRegion,
+      payPolicy,
+      blendWeight,
+      geoTiers,
+      targetCurrency,
+      period,
+      asOf,
+      model: this.model,
+      exchangeRates: this.exchangeRates,
+    });
+  }
+
   /**
    * Predict salary for given skills
-   * @param {string[]} skills - Array of skills
+   * @param {Array<string|Object>} skills - Skill names or { name, level, years, lastUsed } objects
    * @param {object} options - Options object
    * @param {string} options.region - Region code
+   * @param {string} options.location - Country code or metro id
    * @param {number} options.experienceYears - Years of experience
+   * @param {string} options.role - Role
+   * @param {string} options.level - Seniority level
+   * @param {string} options.employmentType - Employment type
+   * @param {string[]} options.certifications - Certifications
+   * @param {string} options.education - Highest degree
+   * @param {string} options.industry - Employer's industry
+   * @param {string} options.companySize - Employer's size
+   * @param {string} options.companyStage - Employer's funding stage
+   * @param {string} options.employerRegion - Employer's region, for remote work
+   * @param {string} options.payPolicy - Remote pay policy
+   * @param {string} options.targetCurrency - Output currency
+   * @param {string} options.period - Output pay period
+   * @param {string|number} options.asOf - Date the prediction is for
+   * @param {boolean} options.explain - Include per-skill contributions
    * @returns {object} Prediction result
    */
   predict(skills, options = {}) {
-    const { region = "US", experienceYears = 0 } = options;
-    const predictor = new SalaryPredictor({ region, experienceYears });
-    return predictor.predict(skills);
+    const predictor = this.createPredictor(options);
+    return predictor.predict(skills, { explain: options.explain });
   }
 
   /**
    * Batch predict salaries for multiple skill sets
-   * @param {string[][]} skillSets - Array of skill arrays
-   * @param {object} options - Options object
+   * @param {Array<Array|object>} skillSets - Skill arrays, or { skills, ...options } items whose options override the shared ones
+   * @param {object} options - Options object shared by every item
    * @param {string} options.region - Region code
+   * @param {string} options.location - Country code or metro id
    * @param {number} options.experienceYears - Years of experience
+   * @param {string} options.role - Role
+   * @param {string} options.level - Seniority level
+   * @param {string} options.employmentType - Employment type
+   * @param {string[]} options.certifications - Certifications
+   * @param {string} options.education - Highest degree
+   * @param {string} options.industry - Employer's industry
+   * @param {string} options.companySize - Employer's size
+   * @param {string} options.companyStage - Employer's funding stage
+   * @param {string} options.employerRegion - Employer's region, for remote work
+   * @param {string} options.payPolicy - Remote pay policy
+   * @param {string} options.targetCurrency - Output currency
+   * @param {string} options.period - Output pay period
+   * @param {string|number} options.asOf - Date the prediction is for
+   * @param {boolean} options.explain - Include per-skill contributions
    * @returns {object[]} Array of prediction results
    */
   batchPredict(skillSets, options = {}) {
-    const { region = "US", experienceYears = 0 } = options;
-    const predictor = new SalaryPredictor({ region, experienceYears });
-    return predictor.batchPredict(skillSets);
+    const { explain, ...shared } = options;
+    const predictor = this.createPredictor(shared);
+    return skillSets.map((item) => {
+      if (Array.isArray(item)) return predictor.predict(item, { explain });
+
+      // An item's own region or location replaces the shared place as a whole
+      const { skills, ...overrides } = item;
+      const place = PLACE_OPTIONS.some((key) => overrides[key])
+        ? { region: undefined, location: undefined, employeeRegion: undefined }
+        : {};
+      return this.createPredictor({
+        ...shared,
+        ...place,
+        ...overrides,
+      }).predict(skills, { explain });
+    });
+  }
+
+  /**
+   * Estimate the cost of a hiring plan
+   * @param {object[]} positions - Positions (label, skills or role, level, region, location, experienceYears, employmentType, headcount, startMonth)
+   * @param {object} options - Options object
+   * @param {string} options.currency - Currency for all amounts (default USD)
+   * @param {number} options.months - Length of the plan in months
+   * @returns {object} Per-position and total cost, monthly burn and envelope
+   */
+  estimateTeam(positions, options = {}) {
+    const { currency = "USD", months } = options;
+    const items = positions.map(
+      ({ label, headcount, startMonth, ...position }) => ({
+        ...position,
+        // A position given only by role is priced with the role's core skills
+        skills: position.skills || this.getRoleSkills(position.role),
+      })
+    );
+    const predictions = this.batchPredict(items, {
+      targetCurrency: currency,
+      period: "annual",
+    });
+    return estimateTeam(positions, predictions, { months });
+  }
+
+  /**
+   * Predict one profile across every supported region
+   * @param {Array<string|Object>} skills - Skill names or { name, level, years, lastUsed } objects
+   * @param {object} options - Options object
+   * @param {number} options.experienceYears - Years of experience
+   * @param {string} options.currency - Common currency for converted amounts
+   * @param {string} options.period - Output pay period
+   * @param {string} options.sortBy - "ppp" or "converted"
+   * @returns {object} Regions ranked by the chosen amount
+   */
+  predictAcrossRegions(skills, options = {}) {
+    const { currency, period, sortBy, ...predictorOptions } = options;
+    const predictor = this.createPredictor(predictorOptions);
+    return predictor.predictAcrossRegions(skills, { currency, period, sortBy });
+  }
+
+  /**
+   * Recommend skills to learn next for a profile
+   * @param {Array<string|Object>} skills - Current skills
+   * @param {object} options - Options object
+   * @param {number} options.limit - Number of ranked skills to return
+   * @param {number} options.budget - Number of skills in the learning plan
+   * @returns {object} Ranked recommendations and a learning plan
+   */
+  recommend(skills, options = {}) {
+    const { limit, budget, ...predictorOptions } = options;
+    const predictor = this.createPredictor(predictorOptions);
+    return predictor.recommend(skills, { limit, budget });
+  }
+
+  /**
+   * Find the skills and experience needed to reach a target salary or role
+   * @param {Array<string|Object>} skills - Current skills
+   * @param {object} options - Options object
+   * @param {number} options.targetSalary - Target salary in the output currency and period
+   * @param {string} options.targetRole - Target role
+   * @param {number} options.maxSkills - Most new skills in a path
+   * @param {number} options.maxYears - Most extra years of experience in a path
+   * @param {number} options.paths - Number of alternative paths
+   * @returns {object} Alternative paths and whether the target is reachable
+   */
+  analyzeGap(skills, options = {}) {
+    const {
+      targetSalary,
+      targetRole,
+      maxSkills,
+      maxYears,
+      paths,
+      ...predictorOptions
+    } = options;
+    const predictor = this.createPredictor(predictorOptions);
+    return predictor.analyzeGap(skills, {
+      targetSalary,
+      targetRole,
+      maxSkills,
+      maxYears,
+      paths,
+    });
+  }
+
+  /**
+   * Project the salary for each of the coming years
+   * @param {Array<string|Object>} skills - Current skills
+   * @param {object} options - Options object
+   * @param {number} options.years - Number of years to project
+   * @param {Array<string|Object>} options.plannedSkills - Skills to learn, with the year they are added
+   * @param {number} options.marketGrowth - Annual market growth rate
+   * @returns {object} One point per year, starting with today
+   */
+  projectTrajectory(skills, options = {}) {
+    const { years, plannedSkills, marketGrowth, ...predictorOptions } = options;
+    const predictor = this.createPredictor(predictorOptions);
+    return predictor.projectTrajectory(skills, {
+      years,
+      plannedSkills,
+      marketGrowth,
+    });
+  }
+
+  /**
+   * Generate pay bands for a job family
+   * @param {object} options - Options object
+   * @param {string} options.family - Role whose core skills and multiplier price the bands
+   * @param {Array<string|Object>} options.skills - Skills, in place of the role's core skills
+   * @param {string} options.region - Region code
+   * @param {string} options.location - Country code or metro id
+   * @param {string} options.targetCurrency - Output currency
+   * @param {string} options.period - Output pay period
+   * @returns {object} One band per level with min/mid/max and overlaps
+   */
+  generateBands(options = {}) {
+    const { family, skills, ...predictorOptions } = options;
+    const predictor = this.createPredictor({
+      ...predictorOptions,
+      role: family,
+    });
+    return predictor.generateBands(skills || this.getRoleSkills(family));
+  }
+
+  /**
+   * Compare two to five profiles side by side
+   * @param {object[]} profiles - Profiles (label, skills, region, location, experienceYears, role, level)
+   * @param {object} options - Options object
+   * @param {string} options.currency - Common currency for all amounts
+   * @param {string} options.period - Output pay period
+   * @returns {object} Predictions per profile and a structured diff
+   */
+  compare(profiles, options = {}) {
+    return compareProfiles(profiles, {
+      currency: options.currency,
+      period: options.period,
+      model: this.model,
+      exchangeRates: this.exchangeRates,
+    });
+  }
+
+  /**
+   * Extract skills and experience from text
+   * @param {string} text - Résumé, CV or job posting (plain text or Markdown)
+   * @returns {object} Extracted profile with the matched text spans
+   */
+  extract(text) {
+    const predictor = this.createPredictor();
+    return predictor.extract(text);
+  }
+
+  /**
+   * Evaluate a salary offer against the predicted market
+   * @param {Array<string|Object>} skills - Candidate's skills
+   * @param {object} offer - Offer (amount, currency, period)
+   * @param {object} options - Profile options (see predict)
+   * @returns {object} Percentile position, difference from market and verdict
+   */
+  evaluateOffer(skills, offer, options = {}) {
+    const predictor = this.createPredictor(options);
+    return predictor.evaluateOffer(skills, offer);
   }
 
   /**
@@ -39,7 +310,7 @@ class PredictionService {
    * @returns {string[]} Array of supported skills
    */
   getSupportedSkills() {
-    const predictor = new SalaryPredictor();
+    const predictor = this.createPredictor();
     return predictor.getSupportedSkills();
   }
 
@@ -48,9 +319,31 @@ class PredictionService {
    * @returns {string[]} Array of supported regions
    */
   getSupportedRegions() {
-    const predictor = new SalaryPredictor();
+    const predictor = this.createPredictor();
     return predictor.getSupportedRegions();
   }
+
+  /**
+   * Get the location hierarchy (region -> country -> metro)
+   * @returns {object[]} Regions with nested countries and metros
+   */
+  getLocationTree() {
+    const predictor = this.createPredictor();
+    return predictor.getLocationTree();
+  }
+
+  /**
+   * Get the core skills of a role
+   * @param {string} role - Role key or name
+   * @returns {string[]} The role's core skills
+   */
+  getRoleSkills(role) {
+    if (!role) {
+      throw new InputError("Skills or a role are required");
+    }
+    const predictor = this.createPredictor({ role });
+    return predictor.modelWeights.roles[predictor.role].skills || [];
+  }
 }
 
 module.exports = new PredictionService();
@@ -0,0 +1,120 @@
+// core/bands.js
+/**
+ * Pay band generation
+ * Prices one profile at every rung of the job-level ladder (bands in the
+ * model pack), each mapped to a seniority level and typical experience, and
+ * reports each band's min/mid/max from the prediction's range together with
+ * its overlap with the next band up. Bands export to CSV.
+ */
+
+const { roundAmount } = require("./currency");
+
+const CSV_COLUMNS = [
+  "band",
+  "name",
+  "level",
+  "experienceYears",
+  "currency",
+  "period",
+  "min",
+  "mid",
+  "max",
+  "overlapWithNext",
+  "overlapPercent",
+  "progressionPercent",
+];
+
+const percent = (value) => Math.round(value * 1000) / 10;
+
+/**
+ * Generate pay bands for a profile
+ * @param {SalaryPredictor} predictor - Configured predictor (region, role, ...)
+ * @param {Array<string|Object>} skills - Skills of the job family
+ * @param {Object} options - Output options
+ * @param {string} options.targetCurrency - Output currency
+ * @param {string} options.period - Output pay period
+ * @returns {Object} One band per ladder rung, lowest first
+ */
+function generateBands(predictor, skills, options = {}) {
+  const original = {
+    level: predictor.level,
+    experienceYears: predictor.experienceYears,
+  };
+
+  let results;
+  try {
+    results = Object.entries(predictor.modelWeights.bands).map(
+      ([band, entry]) => {
+        predictor.setLevel(entry.level);
+        predictor.setExperience(entry.experienceYears);
+        return { band, entry, prediction: predictor.predict(skills, options) };
+      }
+    );
+  } finally {
+    predictor.level = original.level;
+    predictor.experienceYears = original.experienceYears;
+  }
+
+  const { prediction } = results[0];
+  const bands = results.map((result) => ({
+    band: result.band,
+    name: result.entry.name,
+    level: result.entry.level,
+    experienceYears: result.entry.experienceYears,
+    min: result.prediction.salaryRange.min,
+    mid: result.prediction.estimatedSalary,
+    max: result.prediction.salaryRange.max,
+  }));
+
+  // Overlap is the part of a band's range the next band up also covers, as a
+  // share of the band's width; progression is the step between midpoints
+  bands.forEach((band, i) => {
+    const next = bands[i + 1];
+    const overlap = next ? Math.max(band.max - next.min, 0) : 0;
+    band.overlapWithNext = next
+      ? roundAmount(overlap, prediction.period)
+      : null;
+    band.overlapPercent = next
+      ? percent(overlap / (band.max - band.min))
+      : null;
+    band.progressionPercent = next ? percent(next.mid / band.mid - 1) : null;
+  });
+
+  return {
+    currency: prediction.currency,
+    period: prediction.period,
+    region: prediction.region,
+    location: prediction.location ? prediction.location.id : null,
+    role: prediction.role,
+    skills: prediction.skills.matched,
+    modelVersion: prediction.modelVersion,
+    bands,
+  };
+}
+
+/**
+ * Write generated bands as CSV, one row per band
+ * @param {Object} result - Result of generateBands
+ * @returns {string} CSV text with a header row
+ */
+function bandsToCsv(result) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = result.bands.map((band) =>
+    CSV_COLUMNS.map((column) =>
+      escape(
+        column === "currency" || column === "period"
+          ? result[column]
+          : band[column]
+      )
+    ).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+  generateBands,
+  bandsToCsv,
+};
@@ -0,0 +1,163 @@
+// core/comparison.js
+/**
+ * Side-by-side profile comparison
+ * Predicts two to five profiles in one common currency and period and diffs
+ * them: skills and combos unique to each, multiplier differences and the
+ * salary delta against the first profile.
+ */
+
+const { SalaryPredictor } = require("./predictor");
+const { InputError } = require("./errors");
+const { roundAmount } = require("./currency");
+
+const MIN_PROFILES = 2;
+const MAX_PROFILES = 5;
+
+// Breakdown fields compared between profiles
+const MULTIPLIERS = [
+  "locationMultiplier",
+  "skillMultiplier",
+  "experienceMultiplier",
+  "roleMultiplier",
+  "levelMultiplier",
+  "comboBonus",
+  "seniorBonus",
+  "totalMultiplier",
+];
+
+/**
+ * Split per-profile lists into the items every profile shares and the items
+ * only one profile has, and list the profiles holding each item (so items
+ * shared by some but not all profiles show up too)
+ */
+function diffLists(labels, lists) {
+  const presence = {};
+  lists.forEach((list, i) => {
+    list.forEach((item) => {
+      if (!Object.hasOwn(presence, item)) presence[item] = [];
+      if (!presence[item].includes(labels[i])) presence[item].push(labels[i]);
+    });
+  });
+  const common = lists[0].filter((item) =>
+    lists.every((list) => list.includes(item))
+  );
+  const unique = {};
+  labels.forEach((label, i) => {
+    unique[label] = lists[i].filter((item) =>
+      lists.every((list, j) => j === i || !list.includes(item))
+    );
+  });
+  return { common, unique, presence };
+}
+
+/**
+ * Compare profiles side by side
+ * @param {Array<Object>} profiles - Profiles ({ label, skills, region, location, experienceYears, role, level, employmentType })
+ * @param {Object} options - Comparison options
+ * @param {string} options.currency - Common currency for all amounts (default USD)
+ * @param {string} options.period - Output pay period
+ * @param {string|Object} options.model - Model pack
+ * @param {string|Object} options.exchangeRates - Exchange rate table
+ * @returns {Object} Predictions per profile and a structured diff
+ */
+function compareProfiles(profiles, options = {}) {
+  const { currency = "USD", period = "annual", model, exchangeRates } = options;
+  if (
+    !Array.isArray(profiles) ||
+    profiles.length < MIN_PROFILES ||
+    profiles.length > MAX_PROFILES
+  ) {
+    throw new InputError(
+      `Compare between ${MIN_PROFILES} and ${MAX_PROFILES} profiles`
+    );
+  }
+
+  const labels = profiles.map(
+    (profile, i) => profile.label || String.fromCharCode(65 + i)
+  );
+  if (new Set(labels).size !== labels.length) {
+    throw new InputError("Profile labels must be unique");
+  }
+
+  const predictions = profiles.map((profile) => {
+    const predictor = new SalaryPredictor({
+      region: profile.region,
+      location: profile.location,
+      experienceYears: profile.experienceYears,
+      role: profile.role,
+      level: profile.level,
+      employmentType: profile.employmentType,
+      targetCurrency: currency,
+      period,
+      model,
+      exchangeRates,
+    });
+    return predictor.predict(profile.skills);
+  });
+
+  const multipliers = {};
+  MULTIPLIERS.forEach((field) => {
+    const values = {};
+    labels.forEach((label, i) => {
+      values[label] = predictions[i].breakdown[field];
+    });
+    const all = Object.values(values);
+    multipliers[field] = {
+      values,
+      difference: Math.round((Math.max(...all) - Math.min(...all)) * 100) / 100,
+    };
+  });
+
+  // Salary deltas are measured against the first profile
+  const reference = predictions[0].estimatedSalary;
+  const salaries = labels.map((label, i) => {
+    const { estimatedSalary } = predictions[i];
+    return {
+      label,
+      estimatedSalary,
+      delta: roundAmount(estimatedSalary - reference, period),
+      deltaPercent:
+        Math.round(((estimatedSalary - reference) / reference) * 10000) / 100,
+    };
+  });
+  const ranked = [...salaries].sort(
+    (a, b) => b.estimatedSalary - a.estimatedSalary
+  );
+  ranked.forEach((entry, i) => {
+    entry.rank = i + 1;
+  });
+
+  return {
+    currency,
+    period,
+    modelVersion: predictions[0].modelVersion,
+    profiles: labels.map((label, i) => ({
+      label,
+      prediction: predictions[i],
+    })),
+    diff: {
+      skills: diffLists(
+        labels,
+        predictions.map((p) => p.skills.matched)
+      ),
+      combos: diffLists(
+        labels,
+        predictions.map((p) => p.activeCombos)
+      ),
+      multipliers,
+      salary: {
+        reference: labels[0],
+        highest: ranked[0].label,
+        range: roundAmount(
+          ranked[0].estimatedSalary - ranked[ranked.length - 1].estimatedSalary,
+          period
+        ),
+        profiles: salaries,
+      },
+    },
+  };
+}
+
+module.exports = {
+  compareProfiles,
+};
@@ -0,0 +1,87 @@
+// core/credentials.js
+/**
+ * Certification and degree scoring
+ * Each certification carries its own uplift. A certification for a skill the
+ * profile already has only adds the `overlap` share of it, since the skill is
+ * already priced; further certifications count less (decay) and their total
+ * is capped. The highest degree adds a multiplier of its own.
+ */
+
+const { SkillResolver } = require("./skillResolver");
+
+/**
+ * Resolve a certification name by key or alias
+ * @param {string} name - Certification as written ("CKA", "AWS Solutions Architect")
+ * @param {Object} certifications - Certification definitions
+ * @returns {string|null} Certification key
+ */
+function resolveCertification(name, certifications) {
+  const key = SkillResolver.normalize(name);
+  if (Object.hasOwn(certifications, key)) return key;
+  return (
+    Object.keys(certifications).find((id) =>
+      (certifications[id].aliases || []).includes(key)
+    ) || null
+  );
+}
+
+/**
+ * Score certifications and education
+ * @param {string[]} names - Certification names
+ * @param {string|null} degree - Degree key
+ * @param {string[]} matchedSkills - Canonical keys of the profile's skills
+ * @param {Object} config - Credential configuration (model pack `credentials`)
+ * @returns {Object} Multipliers, per-certification uplifts, matched and unmatched names
+ */
+function scoreCredentials(names, degree, matchedSkills, config) {
+  const matched = [];
+  const unmatched = [];
+  names.forEach((name) => {
+    const key = resolveCertification(name, config.certifications);
+    if (!key) {
+      unmatched.push(name);
+    } else if (!matched.includes(key)) {
+      matched.push(key);
+    }
+  });
+
+  const certifications = matched
+    .map((key) => {
+      const certification = config.certifications[key];
+      const overlapping = matchedSkills.includes(certification.skill);
+      const uplift = certification.weight - 1.0;
+      return {
+        certification: key,
+        name: certification.name,
+        skill: certification.skill || null,
+        overlapping,
+        uplift: overlapping ? uplift * config.overlap : uplift,
+      };
+    })
+    .sort((a, b) => b.uplift - a.uplift);
+
+  let total = 0;
+  certifications.forEach((entry, rank) => {
+    entry.uplift *= Math.pow(config.decay, rank);
+    total += entry.uplift;
+  });
+  const capped = total > config.cap;
+  certifications.forEach((entry) => {
+    if (capped) entry.uplift *= config.cap / total;
+    entry.uplift = Math.round(entry.uplift * 1000) / 1000;
+  });
+
+  return {
+    multiplier: 1.0 + Math.min(total, config.cap),
+    educationMultiplier: degree ? config.degrees[degree].multiplier : 1.0,
+    certifications,
+    capped,
+    matched,
+    unmatched,
+  };
+}
+
+module.exports = {
+  resolveCertification,
+  scoreCredentials,
+};
@@ -0,0 +1,140 @@
+// core/currency.js
+/**
+ * Currency conversion and pay periods
+ * Exchange rates come from an offline table (core/data/exchangeRates.js)
+ * that can be replaced by a local JSON file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const defaultRates = require("./data/exchangeRates");
+const periods = require("./data/periods");
+const { InputError } = require("./errors");
+
+const rateCache = new Map();
+
+/**
+ * Validate an exchange rate table
+ * @param {Object} table - { base, date, rates }
+ * @returns {string[]} Validation issues (empty when valid)
+ */
+function validateExchangeRates(table) {
+  const issues = [];
+
+  if (!table || typeof table !== "object") {
+    return ["exchange rate table must be an object"];
+  }
+  if (typeof table.base !== "string") {
+    issues.push("base must be a currency code");
+  }
+  if (typeof table.date !== "string" || Number.isNaN(Date.parse(table.date))) {
+    issues.push("date must be an ISO date");
+  }
+  if (!table.rates || typeof table.rates !== "object") {
+    issues.push("rates must be an object");
+    return issues;
+  }
+  if (table.rates[table.base] !== 1) {
+    issues.push(`rate for base currency ${table.base} must be 1`);
+  }
+  Object.entries(table.rates).forEach(([currency, rate]) => {
+    if (typeof rate !== "number" || rate <= 0) {
+      issues.push(`rate for ${currency} must be a positive number`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Load an exchange rate table
+ * @param {string|Object} [source] - JSON file path, table object, or nothing for the built-in table
+ * @returns {Object} Validated table
+ * @throws {Error} When the table is invalid
+ */
+function loadExchangeRates(source) {
+  if (!source) {
+    return defaultRates;
+  }
+
+  if (typeof source === "string") {
+    const filePath = path.resolve(source);
+    if (!rateCache.has(filePath)) {
+      const table = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      rateCache.set(filePath, loadExchangeRates(table));
+    }
+    return rateCache.get(filePath);
+  }
+
+  const issues = validateExchangeRates(source);
+  if (issues.length > 0) {
+    throw new Error(`Invalid exchange rates: ${issues.join("; ")}`);
+  }
+  return source;
+}
+
+/**
+ * Exchange rate between two currencies (cross rate through the table base)
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} table - Exchange rate table
+ * @returns {number} Units of "to" per unit of "from"
+ * @throws {InputError} When either currency is not in the table
+ */
+function getExchangeRate(from, to, table = defaultRates) {
+  [from, to].forEach((currency) => {
+    if (!table.rates[currency]) {
+      throw new InputError(`Unsupported currency: ${currency}`);
+    }
+  });
+  return table.rates[to] / table.rates[from];
+}
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in "from"
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} table - Exchange rate table
+ * @returns {number} Amount in "to"
+ */
+function convertCurrency(amount, from, to, table = defaultRates) {
+  return amount * getExchangeRate(from, to, table);
+}
+
+/**
+ * Number of periods in a full-time year
+ * @param {string} period - annual, monthly, daily or hourly
+ * @returns {number} Periods per year
+ * @throws {InputError} When the period is unknown
+ */
+function periodsPerYear(period) {
+  if (!periods[period]) {
+    throw new InputError(`Unsupported period: ${period}`);
+  }
+  return periods[period];
+}
+
+/**
+ * Round an amount for display: whole units for annual and monthly figures,
+ * cents for daily and hourly ones
+ * @param {number} amount - Amount
+ * @param {string} period - Pay period
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount, period = "annual") {
+  if (period === "daily" || period === "hourly") {
+    return Math.round(amount * 100) / 100;
+  }
+  return Math.round(amount);
+}
+
+module.exports = {
+  loadExchangeRates,
+  validateExchangeRates,
+  getExchangeRate,
+  convertCurrency,
+  periodsPerYear,
+  roundAmount,
+  periods: Object.keys(periods),
+};
@@ -0,0 +1,80 @@
+// core/data/aliases.js
+// Skill aliases and synonyms used by SkillResolver
+// Keys are normalized (see SkillResolver.normalize), values are canonical skill keys
+
+module.exports = {
+  // Languages
+  js: "javascript",
+  ecmascript: "javascript",
+  es6: "javascript",
+  ts: "typescript",
+  py: "python",
+  python3: "python",
+  golang: "go",
+  rustlang: "rust",
+  kt: "kotlin",
+  cplusplus: "cpp",
+  cxx: "cpp",
+  dotnet: "csharp",
+  net: "csharp",
+  netcore: "csharp",
+  aspnet: "csharp",
+  aspnetcore: "csharp",
+  rb: "ruby",
+
+  // Frontend
+  reactjs: "react",
+  vuejs: "vue",
+  vue3: "vue",
+  angularjs: "angular",
+  sveltejs: "svelte",
+  sveltekit: "svelte",
+  next: "nextjs",
+  nuxtjs: "nuxt",
+
+  // Backend
+  node: "nodejs",
+  expressjs: "express",
+  fastifyjs: "fastify",
+  nest: "nestjs",
+  rubyonrails: "rails",
+  ror: "rails",
+  springboot: "spring",
+
+  // Databases
+  postgres: "postgresql",
+  psql: "postgresql",
+  pg: "postgresql",
+  mongo: "mongodb",
+  elastic: "elasticsearch",
+  dynamo: "dynamodb",
+
+  // Cloud & DevOps
+  amazonwebservices: "aws",
+  microsoftazure: "azure",
+  googlecloud: "gcp",
+  googlecloudplatform: "gcp",
+  k8s: "kubernetes",
+  kube: "kubernetes",
+  tf: "terraform",
+  gha: "githubactions",
+  githubactionsci: "githubactions",
+  githubci: "githubactions",
+
+  // Data & ML
+  ml: "machinelearning",
+  dl: "deeplearning",
+  pyspark: "spark",
+  apachespark: "spark",
+  apacheairflow: "airflow",
+
+  // Mobile
+  rn: "reactnative",
+
+  // Other
+  grpcio: "grpc",
+  wasm: "webassembly",
+  web3: "blockchain",
+  infosec: "cybersecurity",
+  security: "cybersecurity",
+};
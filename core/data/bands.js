@@ -0,0 +1,17 @@
+// core/data/bands.js
+// Job-level ladder used to generate pay bands
+// level: seniority level the band is priced at
+// experienceYears: typical experience at the band, clamped to the level's range
+
+module.exports = {
+  L1: { name: "Engineer I", level: "junior", experienceYears: 1 },
+  L2: { name: "Engineer II", level: "mid", experienceYears: 3 },
+  L3: { name: "Senior Engineer", level: "senior", experienceYears: 6 },
+  L4: { name: "Staff Engineer", level: "staff", experienceYears: 10 },
+  L5: {
+    name: "Senior Staff Engineer",
+    level: "principal",
+    experienceYears: 12,
+  },
+  L6: { name: "Principal Engineer", level: "principal", experienceYears: 15 },
+};
@@ -0,0 +1,95 @@
+// core/data/categories.js
+// Skill categories with saturation caps used by SalaryPredictor
+// cap: maximum combined uplift (multiplier - 1.0) a category can contribute
+
+module.exports = {
+  languages: {
+    cap: 0.5,
+    skills: [
+      "javascript",
+      "typescript",
+      "python",
+      "go",
+      "rust",
+      "java",
+      "kotlin",
+      "swift",
+      "cpp",
+      "csharp",
+      "ruby",
+      "php",
+      "scala",
+      "elixir",
+    ],
+  },
+  frontend: {
+    cap: 0.35,
+    skills: ["react", "vue", "angular", "svelte", "nextjs", "nuxt"],
+  },
+  backend: {
+    cap: 0.35,
+    skills: [
+      "nodejs",
+      "express",
+      "fastify",
+      "nestjs",
+      "django",
+      "flask",
+      "rails",
+      "spring",
+    ],
+  },
+  databases: {
+    cap: 0.3,
+    skills: [
+      "postgresql",
+      "mongodb",
+      "mysql",
+      "redis",
+      "elasticsearch",
+      "dynamodb",
+      "cassandra",
+    ],
+  },
+  cloud: {
+    cap: 0.6,
+    skills: [
+      "aws",
+      "azure",
+      "gcp",
+      "docker",
+      "kubernetes",
+      "terraform",
+      "ansible",
+      "jenkins",
+      "githubactions",
+    ],
+  },
+  data: {
+    cap: 0.7,
+    skills: [
+      "machinelearning",
+      "deeplearning",
+      "tensorflow",
+      "pytorch",
+      "pandas",
+      "spark",
+      "airflow",
+    ],
+  },
+  mobile: {
+    cap: 0.35,
+    skills: ["reactnative", "flutter", "ios", "android"],
+  },
+  other: {
+    cap: 0.5,
+    skills: [
+      "graphql",
+      "grpc",
+      "microservices",
+      "blockchain",
+      "webassembly",
+      "cybersecurity",
+    ],
+  },
+};
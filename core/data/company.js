@@ -0,0 +1,62 @@
+// core/data/company.js
+// Employer modifiers used by SalaryPredictor
+// industries, sizes, stages: multiplier applied to the base salary
+// equity: yearly equity grant as a share of cash salary (grant) and the share
+// of its paper value expected to be realised (realisation)
+
+module.exports = {
+  industries: {
+    ai: { name: "AI / ML products", multiplier: 1.15 },
+    crypto: { name: "Crypto / Web3", multiplier: 1.12 },
+    fintech: { name: "Fintech", multiplier: 1.1 },
+    saas: { name: "SaaS", multiplier: 1.0 },
+    ecommerce: { name: "E-commerce", multiplier: 0.98 },
+    healthcare: { name: "Healthcare", multiplier: 0.97 },
+    consulting: { name: "Consulting", multiplier: 0.95 },
+    gaming: { name: "Gaming", multiplier: 0.92 },
+    media: { name: "Media", multiplier: 0.92 },
+    agency: { name: "Agency", multiplier: 0.88 },
+    education: { name: "Education", multiplier: 0.86 },
+    government: { name: "Government / Public sector", multiplier: 0.85 },
+  },
+  sizes: {
+    startup: { name: "1-50 employees", multiplier: 0.94 },
+    small: { name: "51-200 employees", multiplier: 0.97 },
+    midsize: { name: "201-1,000 employees", multiplier: 1.0 },
+    large: { name: "1,001-10,000 employees", multiplier: 1.06 },
+    enterprise: { name: "10,000+ employees", multiplier: 1.15 },
+  },
+  stages: {
+    bootstrapped: { name: "Bootstrapped", multiplier: 0.93 },
+    preseed: {
+      name: "Pre-seed",
+      multiplier: 0.82,
+      equity: { grant: 0.3, realisation: 0.1 },
+    },
+    seed: {
+      name: "Seed",
+      multiplier: 0.88,
+      equity: { grant: 0.25, realisation: 0.15 },
+    },
+    seriesa: {
+      name: "Series A",
+      multiplier: 0.93,
+      equity: { grant: 0.2, realisation: 0.25 },
+    },
+    seriesb: {
+      name: "Series B",
+      multiplier: 0.97,
+      equity: { grant: 0.15, realisation: 0.35 },
+    },
+    growth: {
+      name: "Series C and later",
+      multiplier: 1.02,
+      equity: { grant: 0.12, realisation: 0.5 },
+    },
+    public: {
+      name: "Public",
+      multiplier: 1.05,
+      equity: { grant: 0.15, realisation: 0.9 },
+    },
+  },
+};
@@ -0,0 +1,96 @@
+// core/data/credentials.js
+// Certifications and degrees used by SalaryPredictor
+// certifications: weight is the multiplier a certification carries on its own;
+// skill is the related skill, and a certification on top of that skill only
+// keeps the `overlap` share of its uplift
+// decay: each further certification counts this share of the previous one
+// cap: maximum combined uplift of all certifications
+// degrees: multiplier per highest degree level
+
+module.exports = {
+  overlap: 0.4,
+  decay: 0.6,
+  cap: 0.15,
+  certifications: {
+    awssaa: {
+      name: "AWS Certified Solutions Architect - Associate",
+      weight: 1.06,
+      skill: "aws",
+      aliases: ["awssolutionsarchitectassociate", "awssolutionsarchitect"],
+    },
+    awssap: {
+      name: "AWS Certified Solutions Architect - Professional",
+      weight: 1.1,
+      skill: "aws",
+      aliases: ["awssolutionsarchitectprofessional"],
+    },
+    awsdva: {
+      name: "AWS Certified Developer - Associate",
+      weight: 1.05,
+      skill: "aws",
+      aliases: ["awsdeveloperassociate", "awsdeveloper"],
+    },
+    gcpace: {
+      name: "Google Cloud Associate Cloud Engineer",
+      weight: 1.05,
+      skill: "gcp",
+      aliases: ["associatecloudengineer"],
+    },
+    gcppca: {
+      name: "Google Cloud Professional Cloud Architect",
+      weight: 1.09,
+      skill: "gcp",
+      aliases: ["professionalcloudarchitect", "gcpcloudarchitect"],
+    },
+    az104: {
+      name: "Microsoft Certified: Azure Administrator Associate",
+      weight: 1.05,
+      skill: "azure",
+      aliases: ["azureadministrator"],
+    },
+    az305: {
+      name: "Microsoft Certified: Azure Solutions Architect Expert",
+      weight: 1.09,
+      skill: "azure",
+      aliases: ["azuresolutionsarchitect"],
+    },
+    cka: {
+      name: "Certified Kubernetes Administrator",
+      weight: 1.08,
+      skill: "kubernetes",
+      aliases: ["certifiedkubernetesadministrator"],
+    },
+    ckad: {
+      name: "Certified Kubernetes Application Developer",
+      weight: 1.06,
+      skill: "kubernetes",
+      aliases: ["certifiedkubernetesapplicationdeveloper"],
+    },
+    cks: {
+      name: "Certified Kubernetes Security Specialist",
+      weight: 1.09,
+      skill: "kubernetes",
+      aliases: ["certifiedkubernetessecurityspecialist"],
+    },
+    terraformassociate: {
+      name: "HashiCorp Certified: Terraform Associate",
+      weight: 1.04,
+      skill: "terraform",
+      aliases: ["hashicorpterraformassociate"],
+    },
+    cissp: {
+      name: "Certified Information Systems Security Professional",
+      weight: 1.12,
+      skill: "cybersecurity",
+      aliases: [],
+    },
+  },
+  degrees: {
+    none: { name: "No degree", multiplier: 1.0 },
+    bootcamp: { name: "Bootcamp", multiplier: 1.0 },
+    associate: { name: "Associate degree", multiplier: 1.01 },
+    bachelor: { name: "Bachelor's degree", multiplier: 1.03 },
+    master: { name: "Master's degree", multiplier: 1.06 },
+    phd: { name: "Doctorate", multiplier: 1.1 },
+  },
+};
@@ -0,0 +1,45 @@
+// core/data/employment.js
+// Employment types used by SalaryPredictor
+// fte: share of full-time hours (part-time pay is pro-rated, the hourly rate is not)
+// period: default output period for the type
+// regions: rate factors for contract and freelance work, with a default
+//   utilization: share of working days actually billed
+//   overhead: uplift on the salary covering benefits, paid leave, payroll
+//   taxes and (for freelancers) business costs the client no longer pays
+
+module.exports = {
+  fulltime: { name: "Full-time" },
+  parttime: { name: "Part-time", fte: 0.5 },
+  contract: {
+    name: "Contract",
+    period: "daily",
+    regions: {
+      default: { utilization: 0.85, overhead: 0.3 },
+      US: { utilization: 0.85, overhead: 0.35 },
+      EU: { utilization: 0.85, overhead: 0.4 },
+      UK: { utilization: 0.85, overhead: 0.3 },
+      CA: { utilization: 0.85, overhead: 0.3 },
+      AU: { utilization: 0.85, overhead: 0.3 },
+      IN: { utilization: 0.9, overhead: 0.2 },
+      NG: { utilization: 0.9, overhead: 0.15 },
+      LATAM: { utilization: 0.9, overhead: 0.25 },
+      APAC: { utilization: 0.85, overhead: 0.25 },
+    },
+  },
+  freelance: {
+    name: "Freelance",
+    period: "daily",
+    regions: {
+      default: { utilization: 0.7, overhead: 0.45 },
+      US: { utilization: 0.7, overhead: 0.5 },
+      EU: { utilization: 0.7, overhead: 0.5 },
+      UK: { utilization: 0.7, overhead: 0.45 },
+      CA: { utilization: 0.7, overhead: 0.45 },
+      AU: { utilization: 0.7, overhead: 0.45 },
+      IN: { utilization: 0.75, overhead: 0.3 },
+      NG: { utilization: 0.75, overhead: 0.25 },
+      LATAM: { utilization: 0.75, overhead: 0.35 },
+      APAC: { utilization: 0.7, overhead: 0.4 },
+    },
+  },
+};
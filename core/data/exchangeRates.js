@@ -0,0 +1,26 @@
+// core/data/exchangeRates.js
+// Offline exchange rates: units of each currency per 1 unit of the base currency
+
+module.exports = {
+  base: "USD",
+  date: "2025-01-02",
+  rates: {
+    USD: 1,
+    EUR: 0.96,
+    GBP: 0.8,
+    CAD: 1.44,
+    AUD: 1.61,
+    INR: 85.7,
+    NGN: 1540,
+    BRL: 6.18,
+    MXN: 20.5,
+    ARS: 1030,
+    COP: 4400,
+    SGD: 1.36,
+    JPY: 157.5,
+    CNY: 7.3,
+    CHF: 0.9,
+    SEK: 11.0,
+    PLN: 4.1,
+  },
+};
@@ -0,0 +1,117 @@
+// core/data/extraction.js
+// Skill terms that are also everyday words, and words that mark education,
+// used when extracting skills from text
+// A mention only counts when written as one of `forms` and not directly
+// before a word in `notBefore` or after a word in `notAfter` ("<number>"
+// stands for any number). An empty `forms` list never matches in free text.
+
+module.exports = {
+  ambiguous: {
+    go: {
+      forms: ["Go", "GO"],
+      notBefore: [
+        "to",
+        "live",
+        "ahead",
+        "back",
+        "beyond",
+        "through",
+        "over",
+        "for",
+        "with",
+        "into",
+        "out",
+        "on",
+        "up",
+      ],
+      notAfter: [
+        "to",
+        "will",
+        "can",
+        "let",
+        "must",
+        "should",
+        "would",
+        "could",
+      ],
+    },
+    rust: { forms: ["Rust"] },
+    swift: { forms: ["Swift"], notBefore: ["response", "action", "delivery"] },
+    react: {
+      forms: ["React", "REACT"],
+      notBefore: ["to", "quickly", "fast", "swiftly"],
+    },
+    angular: { forms: ["Angular"] },
+    express: { forms: ["Express"], notBefore: ["interest", "delivery"] },
+    spring: {
+      forms: ["Spring"],
+      notBefore: ["<number>", "break", "semester", "term"],
+    },
+    rails: { forms: ["Rails"] },
+    flask: { forms: ["Flask"] },
+    spark: { forms: ["Spark"] },
+    flutter: { forms: ["Flutter"] },
+    elixir: { forms: ["Elixir"] },
+    next: {
+      forms: ["Next"],
+      notBefore: [
+        "step",
+        "steps",
+        "week",
+        "month",
+        "year",
+        "level",
+        "generation",
+      ],
+    },
+    node: { forms: ["Node"] },
+    nest: { forms: ["Nest"] },
+    net: { forms: [".NET", ".Net"] },
+    elastic: { forms: ["Elastic"] },
+    mongo: { forms: ["Mongo"] },
+    dynamo: { forms: ["Dynamo"] },
+    kube: { forms: ["Kube"] },
+    js: { forms: ["JS"] },
+    ts: { forms: ["TS"] },
+    ml: { forms: ["ML"] },
+    dl: { forms: ["DL"] },
+    tf: { forms: ["TF"] },
+    ror: { forms: ["RoR"] },
+    gha: { forms: ["GHA"] },
+    rn: { forms: [] },
+    pg: { forms: [] },
+    py: { forms: [] },
+    kt: { forms: [] },
+    rb: { forms: [] },
+    security: { forms: [] },
+  },
+
+  // Date ranges on a line with one of these words, or under a heading with
+  // one, are studies and do not count as work experience (dots are dropped
+  // first, so "B.Sc." reads as "bsc")
+  education: [
+    "education",
+    "academic",
+    "university",
+    "college",
+    "school",
+    "bootcamp",
+    "degree",
+    "diploma",
+    "bachelor",
+    "bachelors",
+    "master",
+    "masters",
+    "bsc",
+    "msc",
+    "ba",
+    "bs",
+    "beng",
+    "meng",
+    "mba",
+    "phd",
+    "doctorate",
+    "graduated",
+    "coursework",
+  ],
+};
@@ -6,11 +6,43 @@ const skills = require("./skills");
 const experience = require("./experience");
 const combos = require("./combos");
 const currencies = require("./currencies");
+const aliases = require("./aliases");
+const categories = require("./categories");
+const saturation = require("./saturation");
+const uncertainty = require("./uncertainty");
+const locations = require("./locations");
+const ppp = require("./ppp");
+const roles = require("./roles");
+const levels = require("./levels");
+const proficiency = require("./proficiency");
+const employment = require("./employment");
+const payPolicies = require("./payPolicies");
+const bands = require("./bands");
+const company = require("./company");
+const credentials = require("./credentials");
+const trends = require("./trends");
 
 module.exports = {
+  version: "2025.1",
+  baseCurrency: "USD", // Currency of baseSalaries
   baseSalaries,
   skills,
   experience,
   combos,
   currencies,
+  aliases,
+  categories,
+  saturation,
+  uncertainty,
+  locations,
+  ppp,
+  roles,
+  levels,
+  proficiency,
+  employment,
+  payPolicies,
+  bands,
+  company,
+  credentials,
+  trends,
 };
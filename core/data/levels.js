@@ -0,0 +1,12 @@
+// core/data/levels.js
+// Seniority levels used by SalaryPredictor
+// multiplier: replaces the senior bonus cliff when a level is given
+// years: experience range the level is priced for; years outside it are clamped
+
+module.exports = {
+  junior: { name: "Junior", multiplier: 0.9, years: [0, 2] },
+  mid: { name: "Mid-level", multiplier: 1.0, years: [2, 5] },
+  senior: { name: "Senior", multiplier: 1.2, years: [5, 10] },
+  staff: { name: "Staff", multiplier: 1.35, years: [8, 15] },
+  principal: { name: "Principal", multiplier: 1.5, years: [10, 20] },
+};
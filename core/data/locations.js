@@ -0,0 +1,219 @@
+// core/data/locations.js
+// Location hierarchy (region -> country -> metro) used by SalaryPredictor
+// multiplier: cost-of-labor adjustment relative to the region's base salary;
+// when missing, the parent's multiplier applies.
+// currency: local currency when it differs from the region's.
+
+module.exports = {
+  US: {
+    name: "United States",
+    countries: {
+      US: {
+        name: "United States",
+        multiplier: 1.0,
+        metros: {
+          "US-SF": { name: "San Francisco Bay Area", multiplier: 1.35 },
+          "US-NYC": { name: "New York", multiplier: 1.25 },
+          "US-SEA": { name: "Seattle", multiplier: 1.22 },
+          "US-BOS": { name: "Boston", multiplier: 1.15 },
+          "US-LA": { name: "Los Angeles", multiplier: 1.12 },
+          "US-AUS": { name: "Austin", multiplier: 1.05 },
+          "US-DEN": { name: "Denver", multiplier: 1.03 },
+          "US-CHI": { name: "Chicago", multiplier: 1.02 },
+          "US-ATL": { name: "Atlanta", multiplier: 0.95 },
+          "US-RDU": { name: "Raleigh-Durham", multiplier: 0.95 },
+          "US-CMH": { name: "Columbus, Ohio", multiplier: 0.88 },
+          "US-CLE": { name: "Cleveland, Ohio", multiplier: 0.85 },
+          "US-CVG": { name: "Cincinnati, Ohio", multiplier: 0.86 },
+        },
+      },
+    },
+  },
+  EU: {
+    name: "European Union",
+    countries: {
+      DE: {
+        name: "Germany",
+        multiplier: 1.1,
+        metros: {
+          "DE-MUC": { name: "Munich", multiplier: 1.18 },
+          "DE-FRA": { name: "Frankfurt", multiplier: 1.12 },
+          "DE-BER": { name: "Berlin", multiplier: 1.05 },
+          "DE-HAM": { name: "Hamburg" },
+        },
+      },
+      NL: {
+        name: "Netherlands",
+        multiplier: 1.1,
+        metros: { "NL-AMS": { name: "Amsterdam", multiplier: 1.15 } },
+      },
+      IE: {
+        name: "Ireland",
+        multiplier: 1.15,
+        metros: { "IE-DUB": { name: "Dublin", multiplier: 1.2 } },
+      },
+      FR: {
+        name: "France",
+        multiplier: 1.0,
+        metros: { "FR-PAR": { name: "Paris", multiplier: 1.12 } },
+      },
+      SE: {
+        name: "Sweden",
+        multiplier: 1.05,
+        currency: "SEK",
+        metros: { "SE-STO": { name: "Stockholm", multiplier: 1.1 } },
+      },
+      IT: {
+        name: "Italy",
+        multiplier: 0.8,
+        metros: { "IT-MIL": { name: "Milan", multiplier: 0.88 } },
+      },
+      ES: {
+        name: "Spain",
+        multiplier: 0.75,
+        metros: {
+          "ES-MAD": { name: "Madrid", multiplier: 0.8 },
+          "ES-BCN": { name: "Barcelona", multiplier: 0.8 },
+        },
+      },
+      PL: {
+        name: "Poland",
+        multiplier: 0.62,
+        currency: "PLN",
+        metros: { "PL-WAW": { name: "Warsaw", multiplier: 0.7 } },
+      },
+      PT: {
+        name: "Portugal",
+        multiplier: 0.65,
+        metros: {
+          "PT-LIS": { name: "Lisbon", multiplier: 0.7 },
+          "PT-OPO": { name: "Porto" },
+        },
+      },
+    },
+  },
+  UK: {
+    name: "United Kingdom",
+    countries: {
+      GB: {
+        name: "United Kingdom",
+        multiplier: 1.0,
+        metros: {
+          "GB-LON": { name: "London", multiplier: 1.2 },
+          "GB-EDI": { name: "Edinburgh", multiplier: 0.92 },
+          "GB-MAN": { name: "Manchester", multiplier: 0.88 },
+        },
+      },
+    },
+  },
+  CA: {
+    name: "Canada",
+    countries: {
+      CA: {
+        name: "Canada",
+        multiplier: 1.0,
+        metros: {
+          "CA-TOR": { name: "Toronto", multiplier: 1.05 },
+          "CA-VAN": { name: "Vancouver", multiplier: 1.06 },
+          "CA-MTL": { name: "Montreal", multiplier: 0.92 },
+        },
+      },
+    },
+  },
+  AU: {
+    name: "Australia",
+    countries: {
+      AU: {
+        name: "Australia",
+        multiplier: 1.0,
+        metros: {
+          "AU-SYD": { name: "Sydney", multiplier: 1.06 },
+          "AU-MEL": { name: "Melbourne", multiplier: 1.0 },
+        },
+      },
+    },
+  },
+  IN: {
+    name: "India",
+    countries: {
+      IN: {
+        name: "India",
+        multiplier: 1.0,
+        metros: {
+          "IN-BLR": { name: "Bengaluru", multiplier: 1.15 },
+          "IN-HYD": { name: "Hyderabad", multiplier: 1.05 },
+          "IN-DEL": { name: "Delhi NCR", multiplier: 1.05 },
+          "IN-PNQ": { name: "Pune" },
+        },
+      },
+    },
+  },
+  NG: {
+    name: "Nigeria",
+    countries: {
+      NG: {
+        name: "Nigeria",
+        multiplier: 1.0,
+        metros: {
+          "NG-LOS": { name: "Lagos", multiplier: 1.1 },
+          "NG-ABV": { name: "Abuja", multiplier: 0.95 },
+        },
+      },
+    },
+  },
+  LATAM: {
+    name: "Latin America",
+    countries: {
+      BR: {
+        name: "Brazil",
+        multiplier: 1.0,
+        currency: "BRL",
+        metros: { "BR-SAO": { name: "São Paulo", multiplier: 1.1 } },
+      },
+      MX: {
+        name: "Mexico",
+        multiplier: 0.95,
+        currency: "MXN",
+        metros: { "MX-MEX": { name: "Mexico City", multiplier: 1.02 } },
+      },
+      AR: {
+        name: "Argentina",
+        multiplier: 0.85,
+        currency: "ARS",
+        metros: { "AR-BUE": { name: "Buenos Aires" } },
+      },
+      CO: {
+        name: "Colombia",
+        multiplier: 0.85,
+        currency: "COP",
+        metros: { "CO-BOG": { name: "Bogotá", multiplier: 0.9 } },
+      },
+    },
+  },
+  APAC: {
+    name: "Asia-Pacific",
+    countries: {
+      SG: {
+        name: "Singapore",
+        multiplier: 1.6,
+        currency: "SGD",
+        metros: { "SG-SIN": { name: "Singapore" } },
+      },
+      JP: {
+        name: "Japan",
+        multiplier: 1.35,
+        currency: "JPY",
+        metros: { "JP-TYO": { name: "Tokyo", multiplier: 1.45 } },
+      },
+      CN: {
+        name: "China",
+        multiplier: 1.0,
+        currency: "CNY",
+        metros: {
+          "CN-SHA": { name: "Shanghai", multiplier: 1.2 },
+          "CN-BJS": { name: "Beijing", multiplier: 1.2 },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,6 @@
+// core/data/nearMisses.js
+// Names within a typo of a priced skill that mean something else
+// SkillResolver never fuzzy matches these (MSSQL is not MySQL, a Sprint is not Spring)
+// Keys are normalized (see SkillResolver.normalize)
+
+module.exports = ["mssql", "preact", "sprint"];
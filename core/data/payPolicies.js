@@ -0,0 +1,26 @@
+// core/data/payPolicies.js
+// Pay policies for remote work, where the employee and employer are in different regions
+// local: the employee's market; employer: the employer's market
+// blend: weight of the employer's market in a mix of the two
+// geotier: share of the employer's market paid per employee region
+
+module.exports = {
+  local: { name: "Local market" },
+  employer: { name: "Employer market" },
+  blend: { name: "Blend", weight: 0.5 },
+  geotier: {
+    name: "Geo tier",
+    tiers: {
+      US: 1.0,
+      UK: 0.9,
+      CA: 0.9,
+      AU: 0.9,
+      EU: 0.85,
+      APAC: 0.75,
+      LATAM: 0.65,
+      IN: 0.55,
+      NG: 0.55,
+    },
+    defaultTier: 0.6,
+  },
+};
@@ -0,0 +1,9 @@
+// core/data/periods.js
+// Pay periods: how many of each period make up a full-time year
+
+module.exports = {
+  annual: 1,
+  monthly: 12,
+  daily: 260, // 52 weeks x 5 working days
+  hourly: 2080, // 260 days x 8 hours
+};
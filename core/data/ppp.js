@@ -0,0 +1,15 @@
+// core/data/ppp.js
+// Purchasing power parity conversion factors by region:
+// units of the region's currency per international dollar
+
+module.exports = {
+  US: 1.0, // USD
+  EU: 0.71, // EUR, euro area average
+  UK: 0.67, // GBP
+  CA: 1.18, // CAD
+  AU: 1.45, // AUD
+  IN: 20.4, // INR
+  NG: 144.0, // NGN
+  LATAM: 0.5, // USD, regional price level
+  APAC: 0.6, // USD, regional price level
+};
@@ -0,0 +1,21 @@
+// core/data/proficiency.js
+// Scaling of a skill's uplift by proficiency, years of use and recency
+
+module.exports = {
+  levels: {
+    beginner: 0.5,
+    intermediate: 0.8,
+    advanced: 1.0,
+    expert: 1.15,
+  },
+  years: {
+    base: 0.6, // Factor for a skill used for less than a year
+    perYear: 0.15, // Added per year of use...
+    max: 1.1, // ...up to this factor
+  },
+  recency: {
+    graceYears: 2, // No penalty for skills used within this many years
+    perYear: 0.15, // Lost per year beyond the grace period...
+    min: 0.4, // ...down to this factor
+  },
+};
@@ -0,0 +1,59 @@
+// core/data/roles.js
+// Role adjustments used by SalaryPredictor
+// multiplier: applied to the base salary; perYear: overrides the experience slope
+// skills: core skills of the role, used by skill-gap analysis
+
+module.exports = {
+  frontend: {
+    name: "Frontend Engineer",
+    multiplier: 1.0,
+    perYear: 0.045,
+    skills: ["javascript", "typescript", "react"],
+  },
+  backend: {
+    name: "Backend Engineer",
+    multiplier: 1.05,
+    skills: ["go", "postgresql", "docker", "microservices"],
+  },
+  fullstack: {
+    name: "Full-Stack Engineer",
+    multiplier: 1.03,
+    skills: ["typescript", "react", "nodejs", "postgresql"],
+  },
+  mobile: {
+    name: "Mobile Engineer",
+    multiplier: 1.03,
+    skills: ["swift", "kotlin", "reactnative"],
+  },
+  devops: {
+    name: "DevOps Engineer",
+    multiplier: 1.08,
+    skills: ["docker", "kubernetes", "terraform", "aws"],
+  },
+  sre: {
+    name: "Site Reliability Engineer",
+    multiplier: 1.12,
+    skills: ["go", "kubernetes", "terraform", "aws"],
+  },
+  dataengineer: {
+    name: "Data Engineer",
+    multiplier: 1.08,
+    skills: ["python", "spark", "airflow", "postgresql"],
+  },
+  datascientist: {
+    name: "Data Scientist",
+    multiplier: 1.1,
+    skills: ["python", "pandas", "machinelearning"],
+  },
+  mlengineer: {
+    name: "ML Engineer",
+    multiplier: 1.18,
+    perYear: 0.055,
+    skills: ["python", "pytorch", "machinelearning", "deeplearning"],
+  },
+  security: {
+    name: "Security Engineer",
+    multiplier: 1.12,
+    skills: ["cybersecurity", "python", "aws"],
+  },
+};
@@ -0,0 +1,7 @@
+// core/data/saturation.js
+// Diminishing returns configuration for the skill multiplier
+
+module.exports = {
+  decay: 0.6, // Each further skill in a category counts 60% of the previous one
+  maxUplift: 1.5, // Overall skill multiplier never exceeds 2.5
+};
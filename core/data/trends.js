@@ -0,0 +1,84 @@
+// core/data/trends.js
+// Dated model values used by SalaryPredictor for `asOf` predictions
+// baseDate: the date baseSalaries and skills describe
+// regions: salary level per region by year, as an index
+// skills: demand per skill by year, as an index scaling the skill's uplift
+// Indices are read relative to their value at baseDate, interpolated between
+// years and projected along the nearest segment for up to maxProjectionYears
+// before the first or after the last year
+
+module.exports = {
+  baseDate: "2025-01-01",
+  maxProjectionYears: 5,
+  regions: {
+    US: {
+      2020: 0.84,
+      2021: 0.87,
+      2022: 0.93,
+      2023: 0.96,
+      2024: 0.98,
+      2025: 1.0,
+    },
+    EU: {
+      2020: 0.88,
+      2021: 0.9,
+      2022: 0.93,
+      2023: 0.96,
+      2024: 0.98,
+      2025: 1.0,
+    },
+    UK: {
+      2020: 0.87,
+      2021: 0.89,
+      2022: 0.93,
+      2023: 0.96,
+      2024: 0.98,
+      2025: 1.0,
+    },
+    CA: {
+      2020: 0.87,
+      2021: 0.9,
+      2022: 0.94,
+      2023: 0.96,
+      2024: 0.98,
+      2025: 1.0,
+    },
+    AU: {
+      2020: 0.88,
+      2021: 0.9,
+      2022: 0.94,
+      2023: 0.96,
+      2024: 0.98,
+      2025: 1.0,
+    },
+    IN: {
+      2020: 0.78,
+      2021: 0.83,
+      2022: 0.9,
+      2023: 0.94,
+      2024: 0.97,
+      2025: 1.0,
+    },
+    NG: { 2021: 0.92, 2023: 0.96, 2025: 1.0 },
+    LATAM: { 2021: 0.88, 2023: 0.94, 2025: 1.0 },
+    APAC: { 2021: 0.9, 2023: 0.95, 2025: 1.0 },
+  },
+  skills: {
+    // Rising demand
+    rust: { 2020: 0.6, 2022: 0.8, 2024: 0.95, 2025: 1.0 },
+    go: { 2020: 0.85, 2022: 0.93, 2024: 0.98, 2025: 1.0 },
+    kubernetes: { 2020: 0.85, 2022: 0.95, 2024: 0.99, 2025: 1.0 },
+    terraform: { 2020: 0.8, 2022: 0.92, 2024: 0.98, 2025: 1.0 },
+    pytorch: { 2020: 0.7, 2022: 0.82, 2024: 0.95, 2025: 1.0 },
+    machinelearning: { 2020: 0.85, 2022: 0.9, 2024: 0.97, 2025: 1.0 },
+    deeplearning: { 2020: 0.75, 2022: 0.85, 2024: 0.96, 2025: 1.0 },
+    // Declining demand
+    tensorflow: { 2020: 1.2, 2022: 1.1, 2024: 1.03, 2025: 1.0 },
+    angular: { 2020: 1.3, 2022: 1.15, 2024: 1.04, 2025: 1.0 },
+    ruby: { 2020: 1.4, 2022: 1.2, 2024: 1.06, 2025: 1.0 },
+    rails: { 2020: 1.3, 2022: 1.15, 2024: 1.05, 2025: 1.0 },
+    jenkins: { 2020: 1.5, 2022: 1.25, 2024: 1.08, 2025: 1.0 },
+    // Boom and bust
+    blockchain: { 2020: 0.8, 2022: 1.4, 2024: 1.05, 2025: 1.0 },
+  },
+};
@@ -0,0 +1,25 @@
+// core/data/uncertainty.js
+// Spread of the predicted salary distribution (log-scale standard deviation)
+
+module.exports = {
+  base: 0.12, // Fully matched profile in a well-covered region
+  unmatched: 0.2, // Added in proportion to the share of unmatched skills
+  experience: {
+    juniorYears: 1, // Spread widens at or below this many years...
+    junior: 0.04,
+    seniorYears: 12, // ...and for every year beyond this one
+    perSeniorYear: 0.01,
+  },
+  regions: {
+    US: 0,
+    EU: 0.03,
+    UK: 0.02,
+    CA: 0.02,
+    AU: 0.03,
+    IN: 0.08,
+    NG: 0.12,
+    LATAM: 0.08,
+    APAC: 0.07,
+  },
+  defaultRegion: 0.1, // Regions without an entry are treated as sparse
+};
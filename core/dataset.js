@@ -0,0 +1,131 @@
+// core/dataset.js
+/**
+ * Observed salary datasets
+ * Loads labeled records (skills, region, years, salary) from CSV or JSON files
+ * for model training and evaluation.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { InputError } = require("./errors");
+
+/**
+ * Split one CSV line into fields, honouring double-quoted values
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map((f) => f.trim());
+}
+
+/**
+ * Parse CSV text with a header row into plain objects
+ * @param {string} text - CSV contents
+ * @returns {Object[]} Rows keyed by header
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) return [];
+
+  const header = parseCsvLine(lines[0]);
+  return lines.slice(1).map((line) => {
+    const values = parseCsvLine(line);
+    const row = {};
+    header.forEach((name, i) => {
+      row[name] = values[i];
+    });
+    return row;
+  });
+}
+
+/**
+ * Normalize raw rows into dataset records
+ * Skills may be an array or a string separated by ";" or "|". Salaries are
+ * annual amounts in the optional "currency" column, or in the model's base
+ * currency when it is absent.
+ * @param {Object[]} rows - Raw rows
+ * @returns {{skills: string[], region: string, experienceYears: number, salary: number, currency?: string}[]} Records
+ * @throws {InputError} When a row is missing a salary or skills
+ */
+function normalizeRecords(rows) {
+  return rows.map((row, i) => {
+    const skills = Array.isArray(row.skills)
+      ? row.skills
+      : String(row.skills || "")
+          .split(/[;|]/)
+          .map((s) => s.trim())
+          .filter(Boolean);
+    const salary = Number(row.salary);
+    const experienceYears = Number(row.experienceYears ?? row.years ?? 0);
+
+    if (skills.length === 0) {
+      throw new InputError(`Record ${i + 1} has no skills`);
+    }
+    if (!Number.isFinite(salary) || salary <= 0) {
+      throw new InputError(`Record ${i + 1} has an invalid salary`);
+    }
+    if (!Number.isFinite(experienceYears) || experienceYears < 0) {
+      throw new InputError(`Record ${i + 1} has invalid years of experience`);
+    }
+
+    const record = {
+      skills,
+      region: row.region || "US",
+      experienceYears,
+      salary,
+    };
+    if (row.currency) record.currency = row.currency;
+    return record;
+  });
+}
+
+/**
+ * Load a dataset file (.csv or .json)
+ * JSON files hold an array of records or an object with a "records" array.
+ * @param {string} filePath - Path to the dataset
+ * @returns {Object[]} Normalized records
+ */
+function loadDataset(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const contents = fs.readFileSync(filePath, "utf8");
+
+  if (extension === ".csv") {
+    return normalizeRecords(parseCsv(contents));
+  }
+  if (extension === ".json") {
+    const parsed = JSON.parse(contents);
+    return normalizeRecords(
+      Array.isArray(parsed) ? parsed : parsed.records || []
+    );
+  }
+
+  throw new Error(`Unsupported dataset format: ${extension}`);
+}
+
+module.exports = { loadDataset, normalizeRecords, parseCsv };
@@ -0,0 +1,18 @@
+// core/errors.js
+/**
+ * Error types shared by the core modules
+ */
+
+/**
+ * Invalid prediction input (unknown currency, period, location...)
+ * Carries statusCode 400 so the API error handler reports it as a client error.
+ */
+class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InputError";
+    this.statusCode = 400;
+  }
+}
+
+module.exports = { InputError };
@@ -0,0 +1,165 @@
+// core/evaluation.js
+/**
+ * Model evaluation against labeled salary data
+ * Runs SalaryPredictor.batchPredict over a dataset and reports accuracy
+ * overall, per region and per experience band.
+ */
+
+const { SalaryPredictor } = require("./predictor");
+
+const EXPERIENCE_BANDS = [
+  { label: "0-2", min: 0, max: 2 },
+  { label: "3-5", min: 3, max: 5 },
+  { label: "6-10", min: 6, max: 10 },
+  { label: "11+", min: 11, max: Infinity },
+];
+
+/**
+ * Experience band label for a number of years
+ * @param {number} years - Years of experience
+ * @returns {string} Band label
+ */
+function experienceBand(years) {
+  const band = EXPERIENCE_BANDS.find(
+    (b) => Math.floor(years) >= b.min && Math.floor(years) <= b.max
+  );
+  return band.label;
+}
+
+/**
+ * Aggregate error metrics for a list of scored records
+ * @param {{actual: number, predicted: number, inRange: boolean}[]} scored
+ * @returns {Object} count, MAE, MAPE (%), bias, bias (%) and range coverage (%)
+ */
+function summarize(scored) {
+  const count = scored.length;
+  if (count === 0) {
+    return {
+      count: 0,
+      mae: 0,
+      mape: 0,
+      bias: 0,
+      biasPercent: 0,
+      rangeCoverage: 0,
+    };
+  }
+
+  let absolute = 0;
+  let relative = 0;
+  let signed = 0;
+  let signedRelative = 0;
+  let inRange = 0;
+  scored.forEach((s) => {
+    const error = s.predicted - s.actual;
+    absolute += Math.abs(error);
+    relative += Math.abs(error) / s.actual;
+    signed += error;
+    signedRelative += error / s.actual;
+    if (s.inRange) inRange++;
+  });
+
+  return {
+    count,
+    mae: Math.round(absolute / count),
+    mape: round((relative / count) * 100),
+    bias: Math.round(signed / count),
+    biasPercent: round((signedRelative / count) * 100),
+    rangeCoverage: round((inRange / count) * 100),
+  };
+}
+
+/**
+ * Group items by a key function
+ */
+function groupBy(items, keyFn) {
+  const groups = {};
+  items.forEach((item) => {
+    const key = keyFn(item);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(item);
+  });
+  return groups;
+}
+
+/**
+ * Evaluate a model against labeled records
+ * @param {Object[]} records - Normalized dataset records (see core/dataset.js)
+ * @param {Object} options
+ * @param {string|Object} options.model - Model pack, built-in by default
+ * @returns {Object} Evaluation report
+ */
+function evaluateModel(records, options = {}) {
+  const predictor = new SalaryPredictor({ model: options.model });
+  const { baseCurrency } = predictor.modelWeights;
+  const scored = [];
+
+  // batchPredict shares region and experience, so predict one group at a time.
+  // Labels are annual salaries in the record's currency or the model's base currency.
+  const groups = groupBy(
+    records,
+    (record) =>
+      `${record.region}|${record.experienceYears}|${record.currency || ""}`
+  );
+  Object.values(groups).forEach((group) => {
+    const results = predictor
+      .setRegion(group[0].region)
+      .setExperience(group[0].experienceYears)
+      .batchPredict(
+        group.map((record) => record.skills),
+        { targetCurrency: group[0].currency || baseCurrency }
+      );
+
+    results.forEach((result, i) => {
+      const record = group[i];
+      scored.push({
+        region: record.region,
+        band: experienceBand(record.experienceYears),
+        actual: record.salary,
+        predicted: result.estimatedSalary,
+        inRange:
+          record.salary >= result.salaryRange.min &&
+          record.salary <= result.salaryRange.max,
+      });
+    });
+  });
+
+  const byRegion = {};
+  Object.entries(groupBy(scored, (s) => s.region)).forEach(
+    ([region, group]) => {
+      byRegion[region] = summarize(group);
+    }
+  );
+
+  const byExperience = {};
+  EXPERIENCE_BANDS.forEach(({ label }) => {
+    const group = scored.filter((s) => s.band === label);
+    if (group.length > 0) byExperience[label] = summarize(group);
+  });
+
+  return {
+    modelVersion: predictor.modelVersion,
+    overall: summarize(scored),
+    byRegion,
+    byExperience,
+  };
+}
+
+/**
+ * Evaluate several models on the same records, best (lowest MAE) first
+ * @param {Object[]} records - Normalized dataset records
+ * @param {Array<string|Object>} models - Model packs to compare
+ * @returns {{evaluations: Object[], best: string}} Evaluations and best model version
+ */
+function compareModels(records, models) {
+  const evaluations = models
+    .map((model) => evaluateModel(records, { model }))
+    .sort((a, b) => a.overall.mae - b.overall.mae);
+
+  return { evaluations, best: evaluations[0].modelVersion };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { evaluateModel, compareModels, experienceBand };
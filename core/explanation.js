@@ -0,0 +1,110 @@
+// core/explanation.js
+/**
+ * Per-skill explanation of a prediction
+ * The estimate is a product of factors (skills, experience, bonuses, role,
+ * level, credentials, company), so the uplift over the base salary is split
+ * between them by their share of its logarithm. Each factor's share is then
+ * divided among the skills or bonuses inside it, and the parts add up to the
+ * estimate.
+ */
+
+const { roundAmount } = require("./currency");
+
+/**
+ * Logarithmic mean of two positive amounts
+ */
+function logMean(a, b) {
+  if (Math.abs(a - b) < 1e-9) return a;
+  return (a - b) / (Math.log(a) - Math.log(b));
+}
+
+/**
+ * Explain a prediction as currency contributions that sum to the estimate
+ * @param {Object} parts - Prediction internals
+ * @param {number} parts.baseSalary - Base salary in output currency and period
+ * @param {number} parts.estimatedSalary - Rounded estimate in the same unit
+ * @param {Object<string, number>} parts.factors - skills, experience, bonuses, role, level, credentials, company
+ * @param {Object<string, number>} parts.skillContributions - Effective uplift per skill
+ * @param {Array<Object>} parts.combos - Active combos ({ skills, bonus })
+ * @param {number} parts.seniorBonus - Senior bonus rate
+ * @param {string} parts.period - Output pay period (for rounding)
+ * @returns {Object} Contributions by skill, combo and adjustment
+ */
+function explainPrediction(parts) {
+  const { baseSalary, estimatedSalary, factors, period } = parts;
+  const total = Object.values(factors).reduce((acc, f) => acc * f, baseSalary);
+  const weight = logMean(total, baseSalary);
+  const share = (factor) => weight * Math.log(factor);
+
+  const entries = [];
+  const add = (group, key, value, extra = {}) => {
+    entries.push({ group, key, raw: value, ...extra });
+  };
+
+  // Split each factor's share among the skills or bonuses that make it up
+  const upliftTotal = factors.skills - 1;
+  Object.entries(parts.skillContributions).forEach(([skill, uplift]) => {
+    const value =
+      upliftTotal !== 0 ? share(factors.skills) * (uplift / upliftTotal) : 0;
+    add("skills", skill, value);
+  });
+
+  const bonusTotal = factors.bonuses - 1;
+  const bonusShare = (bonus) =>
+    bonusTotal !== 0 ? share(factors.bonuses) * (bonus / bonusTotal) : 0;
+  parts.combos.forEach((combo) => {
+    add("combos", combo.skills.join("+"), bonusShare(combo.bonus), {
+      bonus: combo.bonus,
+    });
+  });
+  add("adjustments", "seniorBonus", bonusShare(parts.seniorBonus));
+  add("adjustments", "experience", share(factors.experience));
+  add("adjustments", "role", share(factors.role));
+  add("adjustments", "level", share(factors.level));
+  add("adjustments", "credentials", share(factors.credentials));
+  add("adjustments", "company", share(factors.company));
+
+  // Round each part, then settle the rounding difference on the largest one
+  const base = roundAmount(baseSalary, period);
+  entries.forEach((entry) => {
+    entry.amount = roundAmount(entry.raw, period);
+  });
+  const sum = entries.reduce((acc, entry) => acc + entry.amount, base);
+  const residual = roundAmount(estimatedSalary - sum, period);
+  if (residual !== 0 && entries.length > 0) {
+    const largest = entries.reduce((a, b) =>
+      Math.abs(b.raw) > Math.abs(a.raw) ? b : a
+    );
+    largest.amount = roundAmount(largest.amount + residual, period);
+  }
+
+  const amountOf = (group, key) =>
+    entries.find((entry) => entry.group === group && entry.key === key).amount;
+
+  return {
+    method: "log-share",
+    baseSalary: base,
+    skills: entries
+      .filter((entry) => entry.group === "skills")
+      .map((entry) => ({ skill: entry.key, amount: entry.amount }))
+      .sort((a, b) => b.amount - a.amount),
+    combos: entries
+      .filter((entry) => entry.group === "combos")
+      .map((entry) => ({
+        combo: entry.key,
+        bonus: entry.bonus,
+        amount: entry.amount,
+      })),
+    experience: amountOf("adjustments", "experience"),
+    seniorBonus: amountOf("adjustments", "seniorBonus"),
+    role: amountOf("adjustments", "role"),
+    level: amountOf("adjustments", "level"),
+    credentials: amountOf("adjustments", "credentials"),
+    company: amountOf("adjustments", "company"),
+    total: estimatedSalary,
+  };
+}
+
+module.exports = {
+  explainPrediction,
+};
@@ -0,0 +1,325 @@
+// core/extraction.js
+/**
+ * Skill extraction from résumé and job-description text
+ * Finds mentions of supported skills (by key or alias, over runs of up to
+ * four words), skips everyday uses of ambiguous terms ("go to market"), and
+ * estimates years of experience from date ranges such as "Mar 2019 – Present".
+ * Ranges on education lines or under an education heading are left out. Each
+ * skill mention is credited with the range next to it (on its line, else the
+ * closest one in its paragraph), so the extracted skills can carry years and
+ * lastUsed.
+ */
+
+const { SkillResolver } = require("./skillResolver");
+const { InputError } = require("./errors");
+const { ambiguous, education } = require("./data/extraction");
+
+const MAX_WORDS = 4;
+
+// Words, allowing "C++", "C#", "Node.js" and ".NET"
+const TOKEN = /(?:(?<=^|\s)\.)?[A-Za-z0-9][A-Za-z0-9+#.]*/g;
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const DATE = String.raw`\b(?:(?:(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?|(\d{1,2})\/)\s*)?((?:19|20)\d{2})`;
+const RANGE = new RegExp(
+  String.raw`${DATE}\s*(?:-|–|—|to|until)\s*(?:${DATE}|(present|current|now|today))`,
+  "gi"
+);
+// A Markdown heading, or a short line of words only ("Education", "WORK:")
+const HEADING = /^\s*(?:#.*|[A-Za-z][A-Za-z&/]*(?:\s+[A-Za-z&/]+){0,2}:?)\s*$/;
+const STATEMENT =
+  /(\d{1,2})\+?\s*(?:years?|yrs?)(?:\s+of)?\s+(?:[a-z-]+\s+)?experience/gi;
+
+/**
+ * Fractional year of a parsed date; a bare year counts from its start
+ */
+function dateToYear(month, numericMonth, year) {
+  let index = 0;
+  if (month) index = MONTHS.indexOf(month.slice(0, 3).toLowerCase());
+  else if (numericMonth) index = Math.min(Math.max(numericMonth - 1, 0), 11);
+  return Number(year) + index / 12;
+}
+
+/**
+ * Total length of a set of [from, to] ranges, counting overlaps once
+ */
+function mergedYears(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.from - b.from);
+  let total = 0;
+  let current = null;
+  sorted.forEach(({ from, to }) => {
+    if (!current || from > current.to) {
+      if (current) total += current.to - current.from;
+      current = { from, to };
+    } else {
+      current.to = Math.max(current.to, to);
+    }
+  });
+  if (current) total += current.to - current.from;
+  return Math.round(total * 10) / 10;
+}
+
+/**
+ * Find date ranges in the text
+ */
+function findDateRanges(text, now) {
+  const ranges = [];
+  for (const match of text.matchAll(RANGE)) {
+    const [, fromMonth, fromNumeric, fromYear, toMonth, toNumeric, toYear] =
+      match;
+    const from = dateToYear(fromMonth, fromNumeric, fromYear);
+    const to = match[7]
+      ? now.getUTCFullYear() + now.getUTCMonth() / 12
+      : dateToYear(toMonth, toNumeric, toYear);
+    if (to < from || to - from > 50) continue;
+
+    ranges.push({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      from: Math.round(from * 100) / 100,
+      to: Math.round(to * 100) / 100,
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Index of the last offset at or before a position (offsets ascending)
+ */
+function lastAtOrBefore(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+}
+
+/**
+ * Lines of the text with their offsets, marking those about education: a
+ * line naming a degree or school, or any line under an education heading
+ */
+function splitLines(text) {
+  const lines = [];
+  let start = 0;
+  let inEducation = false;
+  text.split("\n").forEach((line) => {
+    const words =
+      line
+        .toLowerCase()
+        .replace(/\./g, "")
+        .match(/[a-z]+/g) || [];
+    const aboutEducation = words.some((word) => education.includes(word));
+    if (HEADING.test(line)) inEducation = aboutEducation;
+    lines.push({ start, education: inEducation || aboutEducation });
+    start += line.length + 1;
+  });
+  return lines;
+}
+
+/**
+ * Whether an ambiguous term is used as a skill here
+ */
+function isSkillUse(rule, raw, previous, next) {
+  const near = (words, word) =>
+    word !== undefined &&
+    (words || []).some(
+      (w) => w === word || (w === "<number>" && /^\d+$/.test(word))
+    );
+
+  if (!rule.forms.includes(raw)) return false;
+  if (near(rule.notBefore, next)) return false;
+  if (near(rule.notAfter, previous)) return false;
+  return true;
+}
+
+/**
+ * Extract a skill profile from plain text or Markdown
+ * @param {string} text - Résumé, CV or job posting
+ * @param {Object} weights - Model weights (skills, aliases)
+ * @param {Object} options - Extraction options
+ * @param {Date} options.now - Date used for "Present" (defaults to today)
+ * @returns {Object} Skills ready for predict, matched spans, experience estimate
+ */
+function extractProfile(text, weights, options = {}) {
+  if (typeof text !== "string" || text.trim() === "") {
+    throw new InputError("Text to extract from must be a non-empty string");
+  }
+  const now = options.now || new Date();
+  const { skills, aliases } = weights;
+
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN)) {
+    const raw = match[0].replace(/\.+$/, "");
+    tokens.push({ raw, start: match.index, end: match.index + raw.length });
+  }
+
+  // Lines and paragraphs (split on blank lines and Markdown headings) tie
+  // skills to the date ranges next to them
+  const breaks = [0];
+  for (const match of text.matchAll(/\n\s*\n|\n(?=#)/g)) {
+    breaks.push(match.index);
+  }
+  const lines = splitLines(text);
+  const lineStarts = lines.map((line) => line.start);
+  const paragraphOf = (position) => lastAtOrBefore(breaks, position);
+  const lineOf = (position) => lastAtOrBefore(lineStarts, position);
+
+  const lookup = (key) => {
+    if (Object.hasOwn(skills, key)) return { skill: key, method: "exact" };
+    if (Object.hasOwn(aliases, key)) {
+      return { skill: aliases[key], method: "alias" };
+    }
+    return null;
+  };
+
+  const mentions = [];
+  const ignored = [];
+  for (let i = 0; i < tokens.length; i++) {
+    for (
+      let words = Math.min(MAX_WORDS, tokens.length - i);
+      words > 0;
+      words--
+    ) {
+      const run = tokens.slice(i, i + words);
+      // Only join words separated by spaces or hyphens
+      const joined = run.every(
+        (token, j) =>
+          j === 0 || /^[ \t-]+$/.test(text.slice(run[j - 1].end, token.start))
+      );
+      if (!joined) continue;
+
+      const key = SkillResolver.normalize(run.map((t) => t.raw).join(""));
+      const found = lookup(key);
+      if (!found) continue;
+
+      const start = run[0].start;
+      const end = run[run.length - 1].end;
+      const span = {
+        skill: found.skill,
+        text: text.slice(start, end),
+        start,
+        end,
+      };
+      const rule = words === 1 ? ambiguous[key] : undefined;
+      const previous = tokens[i - 1] && tokens[i - 1].raw.toLowerCase();
+      const next = tokens[i + words] && tokens[i + words].raw.toLowerCase();
+      if (rule && !isSkillUse(rule, run[0].raw, previous, next)) {
+        ignored.push(span);
+        break;
+      }
+
+      mentions.push({ ...span, method: found.method });
+      i += words - 1;
+      break;
+    }
+  }
+
+  // Experience: the union of the work date ranges, else the largest "N years
+  // of experience" statement
+  const dateRanges = [];
+  const educationRanges = [];
+  findDateRanges(text, now).forEach((range) => {
+    if (lines[lineOf(range.start)].education) {
+      educationRanges.push(range);
+    } else {
+      dateRanges.push(range);
+    }
+  });
+  let experienceYears = null;
+  let experienceSource = null;
+  if (dateRanges.length > 0) {
+    experienceYears = mergedYears(dateRanges);
+    experienceSource = "dateRanges";
+  } else {
+    const stated = [...text.matchAll(STATEMENT)].map((m) => Number(m[1]));
+    if (stated.length > 0) {
+      experienceYears = Math.max(...stated);
+      experienceSource = "statement";
+    }
+  }
+
+  // The range a mention belongs to: the closest one on its line, else the
+  // closest before it in its paragraph, else the closest after it; skills
+  // named in education get none
+  const rangesByParagraph = new Map();
+  dateRanges.forEach((range) => {
+    const paragraph = paragraphOf(range.start);
+    if (!rangesByParagraph.has(paragraph)) {
+      rangesByParagraph.set(paragraph, { ranges: [], starts: [] });
+    }
+    rangesByParagraph.get(paragraph).ranges.push(range);
+    rangesByParagraph.get(paragraph).starts.push(range.start);
+  });
+  const rangeOf = (mention) => {
+    const line = lineOf(mention.start);
+    if (lines[line].education) return undefined;
+    const nearby = rangesByParagraph.get(paragraphOf(mention.start));
+    if (!nearby) return undefined;
+
+    // Ranges are in text order, so the candidates are the ones either side
+    const index = lastAtOrBefore(nearby.starts, mention.start);
+    const { ranges } = nearby;
+    const before = ranges[index].start < mention.start ? ranges[index] : null;
+    const after = ranges[before ? index + 1 : index] || null;
+    const onLine = [before, after].filter(
+      (range) => range && lineOf(range.start) === line
+    );
+    if (onLine.length === 2) {
+      return after.start - mention.end < mention.start - before.end
+        ? after
+        : before;
+    }
+    return onLine[0] || before || after;
+  };
+
+  // One entry per skill, with years and lastUsed from its mentions' ranges
+  const rangesBySkill = new Map();
+  mentions.forEach((mention) => {
+    if (!rangesBySkill.has(mention.skill)) {
+      rangesBySkill.set(mention.skill, new Set());
+    }
+    const range = rangeOf(mention);
+    if (range) rangesBySkill.get(mention.skill).add(range);
+  });
+  const profile = [];
+  rangesBySkill.forEach((skillRanges, skill) => {
+    const ranges = [...skillRanges];
+    const entry = { name: skill };
+    if (ranges.length > 0) {
+      entry.years = mergedYears(ranges);
+      entry.lastUsed = Math.floor(Math.max(...ranges.map((r) => r.to)));
+    }
+    profile.push(entry);
+  });
+
+  return {
+    skills: profile,
+    experienceYears,
+    experienceSource,
+    mentions,
+    ignored,
+    dateRanges,
+    educationRanges,
+  };
+}
+
+module.exports = {
+  extractProfile,
+};
@@ -0,0 +1,129 @@
+// core/locations.js
+/**
+ * Location hierarchy helpers
+ * Locations are regions, countries or metros; each level may carry a
+ * cost-of-labor multiplier and falls back to its parent's when it has none.
+ */
+
+const { InputError } = require("./errors");
+
+/**
+ * Resolve a location id (region code, country code or metro id)
+ * @param {Object} locations - Location tree (core/data/locations.js)
+ * @param {string} id - Location id, case-insensitive
+ * @returns {Object} Location with its path, region, multiplier and currency
+ * @throws {InputError} When the location is unknown
+ */
+function resolveLocation(locations, id) {
+  const key = String(id).toUpperCase();
+
+  for (const [regionId, region] of Object.entries(locations)) {
+    const regionNode = { id: regionId, name: region.name, level: "region" };
+    if (regionId === key) {
+      return describe([regionNode], [{}], regionId);
+    }
+
+    for (const [countryId, country] of Object.entries(region.countries)) {
+      const countryNode = {
+        id: countryId,
+        name: country.name,
+        level: "country",
+      };
+      if (countryId === key) {
+        return describe([regionNode, countryNode], [country], regionId);
+      }
+
+      const metros = country.metros || {};
+      const metroId = Object.keys(metros).find((m) => m.toUpperCase() === key);
+      if (metroId) {
+        const metro = metros[metroId];
+        return describe(
+          [
+            regionNode,
+            countryNode,
+            { id: metroId, name: metro.name, level: "metro" },
+          ],
+          [country, metro],
+          regionId
+        );
+      }
+    }
+  }
+
+  throw new InputError(`Unknown location: ${id}`);
+}
+
+/**
+ * Build the resolved location from its path, walking up for missing data
+ */
+function describe(path, entries, region) {
+  const own = path[path.length - 1];
+  let multiplier = 1.0;
+  let multiplierSource = path[0].id;
+  let currency = null;
+
+  // entries[i] holds the data of path[i + 1] (regions carry no multiplier)
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].multiplier !== undefined) {
+      multiplier = entries[i].multiplier;
+      multiplierSource = path[i + 1].id;
+      break;
+    }
+  }
+  entries.forEach((entry) => {
+    if (entry.currency) currency = entry.currency;
+  });
+
+  return {
+    id: own.id,
+    name: own.name,
+    level: own.level,
+    region,
+    path,
+    multiplier,
+    multiplierSource,
+    currency,
+  };
+}
+
+/**
+ * Location tree for listing, with currencies and effective multipliers
+ * @param {Object} locations - Location tree
+ * @param {Object<string, string>} currencies - Region -> currency
+ * @returns {Object[]} Regions with nested countries and metros
+ */
+function locationTree(locations, currencies) {
+  return Object.entries(locations).map(([regionId, region]) => ({
+    id: regionId,
+    name: region.name,
+    level: "region",
+    currency: currencies[regionId],
+    children: Object.entries(region.countries).map(([countryId, country]) => {
+      const countryMultiplier =
+        country.multiplier !== undefined ? country.multiplier : 1.0;
+      const currency = country.currency || currencies[regionId];
+
+      return {
+        id: countryId,
+        name: country.name,
+        level: "country",
+        currency,
+        multiplier: countryMultiplier,
+        children: Object.entries(country.metros || {}).map(
+          ([metroId, metro]) => ({
+            id: metroId,
+            name: metro.name,
+            level: "metro",
+            currency,
+            multiplier:
+              metro.multiplier !== undefined
+                ? metro.multiplier
+                : countryMultiplier,
+          })
+        ),
+      };
+    }),
+  }));
+}
+
+module.exports = { resolveLocation, locationTree };
@@ -0,0 +1,534 @@
+// core/modelPack.js
+/**
+ * Model pack loading and validation
+ * A model pack bundles every weight SalaryPredictor uses, so several model
+ * versions can live side by side. Packs are plain objects or JSON/YAML files.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const data = require("./data");
+const { SkillResolver } = require("./skillResolver");
+
+const REQUIRED_SECTIONS = [
+  "baseSalaries",
+  "skills",
+  "combos",
+  "experience",
+  "currencies",
+];
+
+const packCache = new Map();
+
+class ModelPackError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {string[]} issues - Individual validation problems
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}: ${issues.join("; ")}` : message);
+    this.name = "ModelPackError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Built-in model pack assembled from core/data
+ * @returns {Object} Model pack
+ */
+function getDefaultModelPack() {
+  return {
+    version: data.version,
+    baseCurrency: data.baseCurrency,
+    baseSalaries: data.baseSalaries,
+    skills: data.skills,
+    experience: data.experience,
+    combos: data.combos,
+    currencies: data.currencies,
+    aliases: data.aliases,
+    categories: data.categories,
+    saturation: data.saturation,
+    uncertainty: data.uncertainty,
+    locations: data.locations,
+    ppp: data.ppp,
+    roles: data.roles,
+    levels: data.levels,
+    proficiency: data.proficiency,
+    employment: data.employment,
+    payPolicies: data.payPolicies,
+    bands: data.bands,
+    company: data.company,
+    credentials: data.credentials,
+    trends: data.trends,
+  };
+}
+
+/**
+ * Read a model pack file (.json, .yaml or .yml)
+ * @param {string} filePath - Path to the pack
+ * @returns {Object} Parsed pack
+ */
+function readModelPackFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const contents = fs.readFileSync(filePath, "utf8");
+
+  if (extension === ".json") {
+    return JSON.parse(contents);
+  }
+  if (extension === ".yaml" || extension === ".yml") {
+    return yaml.load(contents);
+  }
+
+  throw new ModelPackError(`Unsupported model pack format: ${extension}`);
+}
+
+/**
+ * Fill optional sections from the built-in data, keeping only entries that
+ * refer to skills present in the pack
+ */
+function withDefaults(pack) {
+  const skills = pack.skills || {};
+  const result = { ...pack };
+
+  if (!pack.aliases) {
+    result.aliases = {};
+    Object.entries(data.aliases).forEach(([alias, skill]) => {
+      if (skills[skill] !== undefined) result.aliases[alias] = skill;
+    });
+  }
+
+  if (!pack.categories) {
+    result.categories = {};
+    Object.entries(data.categories).forEach(([name, category]) => {
+      result.categories[name] = {
+        ...category,
+        skills: category.skills.filter((skill) => skills[skill] !== undefined),
+      };
+    });
+  }
+
+  if (!pack.baseCurrency) {
+    result.baseCurrency = data.baseCurrency;
+  }
+
+  if (!pack.saturation) {
+    result.saturation = data.saturation;
+  }
+
+  if (!pack.uncertainty) {
+    result.uncertainty = data.uncertainty;
+  }
+
+  if (!pack.roles) {
+    result.roles = {};
+    Object.entries(data.roles).forEach(([name, role]) => {
+      result.roles[name] = {
+        ...role,
+        skills: role.skills.filter((skill) => skills[skill] !== undefined),
+      };
+    });
+  }
+
+  if (!pack.levels) {
+    result.levels = data.levels;
+  }
+
+  if (!pack.proficiency) {
+    result.proficiency = data.proficiency;
+  }
+
+  if (!pack.employment) {
+    result.employment = data.employment;
+  }
+
+  if (!pack.payPolicies) {
+    result.payPolicies = data.payPolicies;
+  }
+
+  if (!pack.bands) {
+    result.bands = data.bands;
+  }
+
+  if (!pack.company) {
+    result.company = data.company;
+  }
+
+  if (!pack.credentials) {
+    const certifications = {};
+    Object.entries(data.credentials.certifications).forEach(([key, entry]) => {
+      certifications[key] =
+        skills[entry.skill] !== undefined ? entry : { ...entry, skill: null };
+    });
+    result.credentials = { ...data.credentials, certifications };
+  }
+
+  if (!pack.trends) {
+    const pick = (table, keep) =>
+      Object.fromEntries(Object.entries(table).filter(([key]) => keep(key)));
+    result.trends = {
+      ...data.trends,
+      regions: pick(
+        data.trends.regions,
+        (region) => pack.baseSalaries && pack.baseSalaries[region] !== undefined
+      ),
+      skills: pick(data.trends.skills, (skill) => skills[skill] !== undefined),
+    };
+  }
+
+  if (!pack.ppp) {
+    result.ppp = {};
+    Object.entries(data.ppp).forEach(([region, factor]) => {
+      if (pack.baseSalaries && pack.baseSalaries[region] !== undefined) {
+        result.ppp[region] = factor;
+      }
+    });
+  }
+
+  if (!pack.locations) {
+    result.locations = {};
+    Object.entries(data.locations).forEach(([region, location]) => {
+      if (pack.baseSalaries && pack.baseSalaries[region] !== undefined) {
+        result.locations[region] = location;
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Validate a model pack
+ * @param {Object} pack - Model pack with defaults applied
+ * @returns {string[]} Validation issues (empty when valid)
+ */
+function validateModelPack(pack) {
+  const issues = [];
+
+  if (!pack || typeof pack !== "object") {
+    return ["model pack must be an object"];
+  }
+
+  if (!pack.version || typeof pack.version !== "string") {
+    issues.push("version must be a non-empty string");
+  }
+
+  if (typeof pack.baseCurrency !== "string") {
+    issues.push("baseCurrency must be a currency code");
+  }
+
+  REQUIRED_SECTIONS.forEach((section) => {
+    if (!pack[section]) issues.push(`missing section "${section}"`);
+  });
+  if (issues.length > 0) return issues;
+
+  const { baseSalaries, skills, combos, experience, currencies } = pack;
+
+  Object.entries(baseSalaries).forEach(([region, salary]) => {
+    if (typeof salary !== "number" || salary <= 0) {
+      issues.push(`baseSalaries.${region} must be a positive number`);
+    }
+    if (!currencies[region]) {
+      issues.push(`region "${region}" has no currency`);
+    }
+  });
+
+  Object.entries(skills).forEach(([skill, weight]) => {
+    if (typeof weight !== "number" || weight <= 0) {
+      issues.push(`skills.${skill} must be a positive number`);
+    }
+    if (SkillResolver.normalize(skill) !== skill) {
+      issues.push(`skill "${skill}" is not a normalized key`);
+    }
+  });
+
+  if (!Array.isArray(combos)) {
+    issues.push("combos must be an array");
+  } else {
+    combos.forEach((combo, i) => {
+      if (!Array.isArray(combo.skills) || combo.skills.length < 2) {
+        issues.push(`combos[${i}] must list at least two skills`);
+        return;
+      }
+      combo.skills.forEach((skill) => {
+        if (skills[skill] === undefined) {
+          issues.push(`combos[${i}] references unknown skill "${skill}"`);
+        }
+      });
+      if (typeof combo.bonus !== "number") {
+        issues.push(`combos[${i}].bonus must be a number`);
+      }
+    });
+  }
+
+  ["perYear", "maxYears", "seniorBonus"].forEach((field) => {
+    if (typeof experience[field] !== "number") {
+      issues.push(`experience.${field} must be a number`);
+    }
+  });
+
+  Object.entries(pack.aliases).forEach(([alias, skill]) => {
+    if (skills[skill] === undefined) {
+      issues.push(`alias "${alias}" references unknown skill "${skill}"`);
+    }
+  });
+
+  Object.entries(pack.categories).forEach(([name, category]) => {
+    if (typeof category.cap !== "number") {
+      issues.push(`categories.${name}.cap must be a number`);
+    }
+    (category.skills || []).forEach((skill) => {
+      if (skills[skill] === undefined) {
+        issues.push(`category "${name}" references unknown skill "${skill}"`);
+      }
+    });
+  });
+
+  ["decay", "maxUplift"].forEach((field) => {
+    if (typeof pack.saturation[field] !== "number") {
+      issues.push(`saturation.${field} must be a number`);
+    }
+  });
+
+  Object.entries(pack.locations).forEach(([region, location]) => {
+    if (baseSalaries[region] === undefined) {
+      issues.push(`locations reference unknown region "${region}"`);
+    }
+    Object.entries(location.countries || {}).forEach(([country, entry]) => {
+      [[country, entry], ...Object.entries(entry.metros || {})].forEach(
+        ([id, node]) => {
+          if (
+            node.multiplier !== undefined &&
+            (typeof node.multiplier !== "number" || node.multiplier <= 0)
+          ) {
+            issues.push(
+              `location "${id}" multiplier must be a positive number`
+            );
+          }
+        }
+      );
+    });
+  });
+
+  Object.entries(pack.ppp).forEach(([region, factor]) => {
+    if (typeof factor !== "number" || factor <= 0) {
+      issues.push(`ppp.${region} must be a positive number`);
+    }
+  });
+
+  Object.entries(pack.roles).forEach(([role, entry]) => {
+    if (typeof entry.multiplier !== "number" || entry.multiplier <= 0) {
+      issues.push(`roles.${role}.multiplier must be a positive number`);
+    }
+    (entry.skills || []).forEach((skill) => {
+      if (skills[skill] === undefined) {
+        issues.push(`role "${role}" references unknown skill "${skill}"`);
+      }
+    });
+  });
+
+  Object.entries(pack.levels).forEach(([level, entry]) => {
+    if (typeof entry.multiplier !== "number" || entry.multiplier <= 0) {
+      issues.push(`levels.${level}.multiplier must be a positive number`);
+    }
+    if (
+      !Array.isArray(entry.years) ||
+      entry.years.length !== 2 ||
+      entry.years[0] > entry.years[1]
+    ) {
+      issues.push(`levels.${level}.years must be a [min, max] range`);
+    }
+  });
+
+  Object.entries(pack.proficiency.levels || {}).forEach(([level, factor]) => {
+    if (typeof factor !== "number" || factor <= 0) {
+      issues.push(`proficiency.levels.${level} must be a positive number`);
+    }
+  });
+  ["years", "recency"].forEach((group) => {
+    Object.entries(pack.proficiency[group] || {}).forEach(([field, value]) => {
+      if (typeof value !== "number") {
+        issues.push(`proficiency.${group}.${field} must be a number`);
+      }
+    });
+  });
+
+  Object.entries(pack.employment).forEach(([type, entry]) => {
+    if (entry.fte !== undefined && !(entry.fte > 0 && entry.fte <= 1)) {
+      issues.push(`employment.${type}.fte must be between 0 and 1`);
+    }
+    if (entry.regions) {
+      if (!entry.regions.default) {
+        issues.push(`employment.${type}.regions needs a default`);
+      }
+      Object.entries(entry.regions).forEach(([region, terms]) => {
+        if (!(terms.utilization > 0 && terms.utilization <= 1)) {
+          issues.push(
+            `employment.${type}.regions.${region}.utilization must be between 0 and 1`
+          );
+        }
+        if (typeof terms.overhead !== "number" || terms.overhead < 0) {
+          issues.push(
+            `employment.${type}.regions.${region}.overhead must be a non-negative number`
+          );
+        }
+      });
+    }
+  });
+
+  ["local", "employer", "blend", "geotier"].forEach((policy) => {
+    if (!pack.payPolicies[policy]) {
+      issues.push(`payPolicies.${policy} is missing`);
+    }
+  });
+  const { blend, geotier } = pack.payPolicies;
+  if (blend && !(blend.weight >= 0 && blend.weight <= 1)) {
+    issues.push("payPolicies.blend.weight must be between 0 and 1");
+  }
+  if (geotier) {
+    Object.entries({
+      ...geotier.tiers,
+      defaultTier: geotier.defaultTier,
+    }).forEach(([region, tier]) => {
+      if (typeof tier !== "number" || tier <= 0) {
+        issues.push(`payPolicies.geotier ${region} must be a positive number`);
+      }
+    });
+  }
+
+  Object.entries(pack.bands).forEach(([band, entry]) => {
+    if (!pack.levels[entry.level]) {
+      issues.push(`band "${band}" references unknown level "${entry.level}"`);
+    }
+    if (
+      typeof entry.experienceYears !== "number" ||
+      entry.experienceYears < 0
+    ) {
+      issues.push(
+        `bands.${band}.experienceYears must be a non-negative number`
+      );
+    }
+  });
+
+  ["industries", "sizes", "stages"].forEach((group) => {
+    Object.entries(pack.company[group] || {}).forEach(([key, entry]) => {
+      if (typeof entry.multiplier !== "number" || entry.multiplier <= 0) {
+        issues.push(
+          `company.${group}.${key}.multiplier must be a positive number`
+        );
+      }
+      if (
+        entry.equity &&
+        !(
+          entry.equity.grant >= 0 &&
+          entry.equity.realisation >= 0 &&
+          entry.equity.realisation <= 1
+        )
+      ) {
+        issues.push(
+          `company.${group}.${key}.equity needs a grant and a realisation between 0 and 1`
+        );
+      }
+    });
+  });
+
+  const { credentials } = pack;
+  ["overlap", "decay"].forEach((field) => {
+    if (!(credentials[field] >= 0 && credentials[field] <= 1)) {
+      issues.push(`credentials.${field} must be between 0 and 1`);
+    }
+  });
+  if (typeof credentials.cap !== "number" || credentials.cap < 0) {
+    issues.push("credentials.cap must be a non-negative number");
+  }
+  Object.entries(credentials.certifications || {}).forEach(([key, entry]) => {
+    if (typeof entry.weight !== "number" || entry.weight <= 0) {
+      issues.push(
+        `credentials.certifications.${key}.weight must be a positive number`
+      );
+    }
+    if (entry.skill && skills[entry.skill] === undefined) {
+      issues.push(
+        `certification "${key}" references unknown skill "${entry.skill}"`
+      );
+    }
+  });
+  Object.entries(credentials.degrees || {}).forEach(([key, entry]) => {
+    if (typeof entry.multiplier !== "number" || entry.multiplier <= 0) {
+      issues.push(
+        `credentials.degrees.${key}.multiplier must be a positive number`
+      );
+    }
+  });
+
+  const { trends } = pack;
+  if (Number.isNaN(new Date(String(trends.baseDate)).getTime())) {
+    issues.push("trends.baseDate must be a date");
+  }
+  if (typeof trends.maxProjectionYears !== "number") {
+    issues.push("trends.maxProjectionYears must be a number");
+  }
+  ["regions", "skills"].forEach((group) => {
+    Object.entries(trends[group] || {}).forEach(([key, series]) => {
+      const points = Object.entries(series || {});
+      if (points.length === 0) {
+        issues.push(`trends.${group}.${key} needs at least one year`);
+      }
+      points.forEach(([year, value]) => {
+        if (!/^\d{4}$/.test(year) || typeof value !== "number" || value <= 0) {
+          issues.push(
+            `trends.${group}.${key}.${year} must be a positive number for a year`
+          );
+        }
+      });
+    });
+  });
+  Object.keys(trends.skills || {}).forEach((skill) => {
+    if (skills[skill] === undefined) {
+      issues.push(`trend references unknown skill "${skill}"`);
+    }
+  });
+
+  ["base", "unmatched", "defaultRegion"].forEach((field) => {
+    if (typeof pack.uncertainty[field] !== "number") {
+      issues.push(`uncertainty.${field} must be a number`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Load and validate a model pack
+ * @param {string|Object} [source] - File path, pack object, or nothing for the built-in pack
+ * @returns {Object} Validated model pack
+ * @throws {ModelPackError} When the pack is invalid
+ */
+function loadModelPack(source) {
+  if (!source) {
+    return getDefaultModelPack();
+  }
+
+  if (typeof source === "string") {
+    const filePath = path.resolve(source);
+    if (!packCache.has(filePath)) {
+      packCache.set(filePath, loadModelPack(readModelPackFile(filePath)));
+    }
+    return packCache.get(filePath);
+  }
+
+  const pack = withDefaults(source);
+  const issues = validateModelPack(pack);
+  if (issues.length > 0) {
+    throw new ModelPackError("Invalid model pack", issues);
+  }
+
+  return pack;
+}
+
+module.exports = {
+  ModelPackError,
+  loadModelPack,
+  validateModelPack,
+  getDefaultModelPack,
+};
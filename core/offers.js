@@ -0,0 +1,63 @@
+// core/offers.js
+/**
+ * Offer evaluation
+ * Places an offered amount on a prediction's log-normal distribution and
+ * labels it low (below p25), fair (p25-p75) or strong (above p75).
+ */
+
+const { InputError } = require("./errors");
+const { roundAmount } = require("./currency");
+
+// Upper percentile bound of each verdict band
+const VERDICT_BANDS = [
+  { verdict: "low", below: 25 },
+  { verdict: "fair", below: 75 },
+  { verdict: "strong", below: Infinity },
+];
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 26.2.17)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp((-z * z) / 2) / Math.sqrt(2 * Math.PI);
+  const tail =
+    density *
+    t *
+    (0.31938153 +
+      t *
+        (-0.356563782 +
+          t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Evaluate an offer against a prediction in the same currency and period
+ * @param {Object} prediction - Result of SalaryPredictor.predict
+ * @param {number} amount - Offered amount
+ * @returns {Object} Percentile position, difference from market and verdict
+ */
+function evaluateOffer(prediction, amount) {
+  if (typeof amount !== "number" || !(amount > 0)) {
+    throw new InputError("Offered amount must be a positive number");
+  }
+
+  const market = prediction.estimatedSalary;
+  const spread = prediction.breakdown.uncertainty.total;
+  const z = Math.log(amount / market) / spread;
+  const percentile = Math.round(normalCdf(z) * 1000) / 10;
+  const { verdict } = VERDICT_BANDS.find((band) => percentile < band.below);
+
+  return {
+    percentile,
+    difference: roundAmount(amount - market, prediction.period),
+    differencePercent: Math.round(((amount - market) / market) * 10000) / 100,
+    verdict,
+  };
+}
+
+module.exports = {
+  evaluateOffer,
+  normalCdf,
+  VERDICT_BANDS,
+};
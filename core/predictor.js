@@ -4,116 +4,446 @@
  * Open-source modular system for salary prediction based on tech stack
  */
 
-const data = require("./data");
+const { loadModelPack } = require("./modelPack");
+const { SkillResolver } = require("./skillResolver");
+const { scoreSkills } = require("./skillScoring");
+const { skillName, proficiencyFactor } = require("./proficiency");
+const { scoreCredentials } = require("./credentials");
+const { explainPrediction } = require("./explanation");
+const { parseDate, trendsAt } = require("./trends");
+const { analyzeSkillGap } = require("./skillGap");
+const { projectTrajectory } = require("./trajectory");
+const { generateBands } = require("./bands");
+const { extractProfile } = require("./extraction");
+const { evaluateOffer } = require("./offers");
+const { resolveLocation, locationTree } = require("./locations");
+const { InputError } = require("./errors");
+const {
+  loadExchangeRates,
+  getExchangeRate,
+  periodsPerYear,
+  roundAmount,
+} = require("./currency");
+
+// Standard normal quantiles for the reported percentiles
+const PERCENTILE_Z = {
+  p10: -1.2816,
+  p25: -0.6745,
+  p50: 0,
+  p75: 0.6745,
+  p90: 1.2816,
+};
 
 class SalaryPredictor {
+  /**
+   * @param {Object} options
+   * @param {string} options.region - Region code
+   * @param {string} options.employeeRegion - Where the employee lives (same as region)
+   * @param {string} options.employerRegion - Where the employer is, for remote work
+   * @param {string} options.payPolicy - How remote work is paid (local, employer, blend, geo-tier)
+   * @param {number} options.blendWeight - Employer-market weight for the blend policy
+   * @param {Object<string, number>} options.geoTiers - Share of the employer market per employee region
+   * @param {number} options.experienceYears - Years of experience
+   * @param {string} options.location - Country code or metro id (e.g. "DE", "US-SF"); implies the region
+   * @param {string} options.role - Role (e.g. "frontend", "sre", "mlengineer")
+   * @param {string} options.level - Seniority level (junior, mid, senior, staff, principal)
+   * @param {string|Object} options.model - Model pack (file path or object), built-in pack by default
+   * @param {string} options.targetCurrency - Output currency, the region's currency by default
+   * @param {string} options.period - Output pay period (annual, monthly, daily, hourly); daily for contract and freelance work by default
+   * @param {string|number} options.asOf - Date the prediction is for (e.g. "2023-06" or 2027), the model's base date by default
+   * @param {string} options.employmentType - Employment type (full-time, part-time, contract, freelance)
+   * @param {Array<string>} options.certifications - Certifications (e.g. "CKA", "AWS Solutions Architect")
+   * @param {string} options.education - Highest degree (bootcamp, associate, bachelor, master, phd)
+   * @param {string} options.industry - Employer's industry (e.g. "fintech", "agency")
+   * @param {string} options.companySize - Employer's size (startup, small, midsize, large, enterprise)
+   * @param {string} options.companyStage - Employer's funding stage (e.g. "seed", "series-b", "public")
+   * @param {string|Object} options.exchangeRates - Exchange rate table (JSON file path or object)
+   */
   constructor(options = {}) {
-    this.region = options.region || "US";
+    if (
+      options.employeeRegion &&
+      options.region &&
+      options.employeeRegion !== options.region
+    ) {
+      throw new InputError("region and employeeRegion disagree");
+    }
+    this.region = options.employeeRegion || options.region || "US";
     this.experienceYears = options.experienceYears || 0;
-    this.modelWeights = this.initializeWeights();
+    this.targetCurrency = options.targetCurrency || null;
+    this.period = options.period || null;
+    this.asOf = options.asOf || null;
+    this.exchangeRates = loadExchangeRates(options.exchangeRates);
+    this.modelWeights = this.initializeWeights(options.model);
+    this.modelVersion = this.modelWeights.version;
+    this.resolver = new SkillResolver(
+      this.modelWeights.skills,
+      this.modelWeights.aliases
+    );
+
+    this.setRole(options.role || null);
+    this.setLevel(options.level || null);
+    this.setEmploymentType(options.employmentType || "fulltime");
+    this.setCredentials(options.certifications, options.education);
+    this.setCompany(
+      options.industry,
+      options.companySize,
+      options.companyStage
+    );
+    this.setPayPolicy(options.employerRegion, options.payPolicy, {
+      blendWeight: options.blendWeight,
+      geoTiers: options.geoTiers,
+    });
+
+    this.location = null;
+    if (options.location) {
+      this.setLocation(options.location);
+      const region = options.employeeRegion || options.region;
+      if (region && region !== this.region) {
+        throw new InputError(
+          `Location ${options.location} is not in region ${region}`
+        );
+      }
+    }
   }
 
   /**
-   * Initialize skill weights and base salaries per region
+   * Initialize skill weights and base salaries per region from a model pack
+   * @param {string|Object} [model] - Model pack source
    */
-  initializeWeights() {
-    return {
-      baseSalaries: data.baseSalaries,
-      skills: data.skills,
-      experience: data.experience,
-      combos: data.combos,
-    };
+  initializeWeights(model) {
+    return loadModelPack(model);
   }
 
   /**
    * Predict salary based on skills
-   * @param {Array<string>} skills - Array of skill names
+   * @param {Array<string|Object>} skills - Skill names, or objects like { name, level, years, lastUsed }
+   * @param {Object} options - Per-call output options
+   * @param {string} options.targetCurrency - Output currency
+   * @param {string} options.period - Output pay period
+   * @param {string|number} options.asOf - Date the prediction is for
+   * @param {boolean} options.explain - Include per-skill contributions
    * @returns {Object} Prediction result
    */
-  predict(skills) {
+  predict(skills, options = {}) {
     const startTime = Date.now();
-
-    // Normalize skills to lowercase
-    const normalizedSkills = skills.map((s) =>
-      s.toLowerCase().replace(/[\s.-]/g, "")
+    const conversion = this.getConversion(
+      options.targetCurrency || this.targetCurrency,
+      options.period || this.getPeriod()
     );
+    const amount = (value) =>
+      roundAmount(value * conversion.factor, conversion.period);
 
-    // Get base salary for region
-    const baseSalary =
-      this.modelWeights.baseSalaries[this.region] ||
-      this.modelWeights.baseSalaries.US;
+    // Resolve skills to canonical names (exact, alias or fuzzy match)
+    const names = skills.map((skill) => {
+      const name = skillName(skill);
+      if (typeof name !== "string" || name.trim() === "") {
+        throw new InputError("Each skill needs a name");
+      }
+      return name;
+    });
+    const resolved = this.resolver.resolveAll(names);
+
+    // Dated model values: region salary levels and skill demand as of a date
+    const dated = this.getDatedWeights(options.asOf || this.asOf);
+    const { trend } = dated;
+
+    // Get base salary for region, adjusted for the location within it
+    const regionSalary =
+      dated.baseSalaries[this.region] || dated.baseSalaries.US;
+    const locationMultiplier = this.location ? this.location.multiplier : 1.0;
+    const localSalary = regionSalary * locationMultiplier;
 
-    // Calculate skill multiplier
-    let skillMultiplier = 1.0;
+    // Remote work: the pay policy picks which market sets the base salary
+    const policyBases = this.getPolicyBases(localSalary, dated.baseSalaries);
+    const baseSalary = policyBases
+      ? policyBases[this.payPolicy].base
+      : localSalary;
+
+    // Match skills
     const matchedSkills = [];
     const unmatchedSkills = [];
+    const suggestions = {};
+
+    const proficiency = {};
+    const strongest = {};
+    resolved.forEach((entry, i) => {
+      if (entry.skill) {
+        // Scale by proficiency, years of use and recency; a skill listed
+        // twice keeps its strongest entry, a plain name counting as 1
+        const scaled = proficiencyFactor(
+          skills[i],
+          this.modelWeights.proficiency
+        );
+        const factor = scaled ? scaled.factor : 1.0;
+        if (
+          strongest[entry.skill] === undefined ||
+          factor > strongest[entry.skill]
+        ) {
+          strongest[entry.skill] = factor;
+          if (scaled) {
+            proficiency[entry.skill] = scaled;
+          } else {
+            delete proficiency[entry.skill];
+          }
+        }
+      }
 
-    normalizedSkills.forEach((skill) => {
-      const weight = this.modelWeights.skills[skill];
-      if (weight) {
-        skillMultiplier += weight - 1.0;
-        matchedSkills.push(skill);
-      } else {
-        unmatchedSkills.push(skill);
+      if (!entry.skill) {
+        unmatchedSkills.push(entry.input);
+        if (entry.suggestions.length > 0) {
+          suggestions[entry.input] = entry.suggestions;
+        }
+        return;
       }
+      // The same skill listed twice ("React", "ReactJS") only counts once
+      if (matchedSkills.includes(entry.skill)) return;
+
+      matchedSkills.push(entry.skill);
     });
 
+    // Calculate skill multiplier with diminishing returns per category
+    const factors = {};
+    Object.entries(proficiency).forEach(([skill, scaled]) => {
+      factors[skill] = scaled.factor;
+    });
+    const skillScore = scoreSkills(
+      matchedSkills,
+      { ...this.modelWeights, skills: dated.skills },
+      factors
+    );
+    const skillMultiplier = skillScore.multiplier;
+
+    // Certifications and education are scored apart from skills; a
+    // certification counts for less on top of its own skill
+    const credentials = scoreCredentials(
+      this.certifications,
+      this.education,
+      matchedSkills,
+      this.modelWeights.credentials
+    );
+    const certificationMultiplier = credentials.multiplier;
+    const { educationMultiplier } = credentials;
+
     // Apply combo bonuses
     let comboBonus = 0;
     const activeCombo = [];
+    const activeComboDefs = [];
     this.modelWeights.combos.forEach((combo) => {
-      const hasCombo = combo.skills.every((s) => normalizedSkills.includes(s));
+      const hasCombo = combo.skills.every((s) => matchedSkills.includes(s));
       if (hasCombo) {
         comboBonus += combo.bonus;
         activeCombo.push(combo.skills.join("+"));
+        activeComboDefs.push(combo);
       }
     });
 
-    // Apply experience multiplier
+    // Apply role and level adjustments
+    const role = this.role ? this.modelWeights.roles[this.role] : null;
+    const level = this.level ? this.modelWeights.levels[this.level] : null;
+    const roleMultiplier = role ? role.multiplier : 1.0;
+    const levelMultiplier = level ? level.multiplier : 1.0;
+
+    // Apply experience multiplier; a level prices experience within its own
+    // range and replaces the senior bonus cliff
+    const effectiveYears = level
+      ? Math.min(Math.max(this.experienceYears, level.years[0]), level.years[1])
+      : this.experienceYears;
     const cappedYears = Math.min(
-      this.experienceYears,
+      effectiveYears,
       this.modelWeights.experience.maxYears
     );
-    const experienceMultiplier =
-      1.0 + cappedYears * this.modelWeights.experience.perYear;
+    const perYear =
+      role && role.perYear !== undefined
+        ? role.perYear
+        : this.modelWeights.experience.perYear;
+    const experienceMultiplier = 1.0 + cappedYears * perYear;
     const seniorBonus =
-      this.experienceYears >= 5 ? this.modelWeights.experience.seniorBonus : 0;
+      !level && this.experienceYears >= 5
+        ? this.modelWeights.experience.seniorBonus
+        : 0;
+
+    // Apply the employer's industry, size and funding stage
+    const { industries, sizes, stages } = this.modelWeights.company;
+    const industryMultiplier = this.industry
+      ? industries[this.industry].multiplier
+      : 1.0;
+    const companySizeMultiplier = this.companySize
+      ? sizes[this.companySize].multiplier
+      : 1.0;
+    const stage = this.companyStage ? stages[this.companyStage] : null;
+    const companyStageMultiplier = stage ? stage.multiplier : 1.0;
+    const companyMultiplier =
+      industryMultiplier * companySizeMultiplier * companyStageMultiplier;
 
     // Calculate final salary
     const totalMultiplier =
-      skillMultiplier * experienceMultiplier * (1 + comboBonus + seniorBonus);
-    const estimatedSalary = Math.round(baseSalary * totalMultiplier);
+      skillMultiplier *
+      experienceMultiplier *
+      (1 + comboBonus + seniorBonus) *
+      roleMultiplier *
+      levelMultiplier *
+      certificationMultiplier *
+      educationMultiplier *
+      companyMultiplier;
+    const estimatedSalary = amount(baseSalary * totalMultiplier);
+
+    // Equity is reported next to the cash salary, never inside it: its
+    // yearly grant at paper value and the part expected to be realised
+    const equity =
+      stage && stage.equity
+        ? {
+            grant: stage.equity.grant,
+            realisation: stage.equity.realisation,
+            annualGrant: amount(
+              baseSalary * totalMultiplier * stage.equity.grant
+            ),
+            expectedValue: amount(
+              baseSalary *
+                totalMultiplier *
+                stage.equity.grant *
+                stage.equity.realisation
+            ),
+          }
+        : null;
+
+    // Calculate percentiles and range
+    // Against distinct skills, so a duplicate or alias is not counted as unmatched
+    const inputCount = matchedSkills.length + unmatchedSkills.length;
+    const spread = this.calculateSpread(
+      matchedSkills.length,
+      inputCount,
+      this.experienceYears
+    );
+    const percentiles = this.calculatePercentiles(
+      baseSalary * totalMultiplier * conversion.factor,
+      spread.total,
+      conversion.period
+    );
 
-    // Calculate percentile and range
-    const minSalary = Math.round(estimatedSalary * 0.85);
-    const maxSalary = Math.round(estimatedSalary * 1.2);
+    // Optionally attribute the estimate to each skill, combo and adjustment
+    const explanation = options.explain
+      ? explainPrediction({
+          baseSalary: baseSalary * conversion.factor,
+          estimatedSalary,
+          factors: {
+            skills: skillMultiplier,
+            experience: experienceMultiplier,
+            bonuses: 1 + comboBonus + seniorBonus,
+            role: roleMultiplier,
+            level: levelMultiplier,
+            credentials: certificationMultiplier * educationMultiplier,
+            company: companyMultiplier,
+          },
+          skillContributions: skillScore.contributions,
+          combos: activeComboDefs,
+          seniorBonus,
+          period: conversion.period,
+        })
+      : undefined;
 
     const executionTime = Date.now() - startTime;
 
     return {
       estimatedSalary,
-      salaryRange: { min: minSalary, max: maxSalary },
-      currency: this.getCurrency(this.region),
+      salaryRange: { min: percentiles.p10, max: percentiles.p90 },
+      percentiles,
+      currency: conversion.currency,
+      period: conversion.period,
+      exchangeRate: conversion.exchangeRate,
       region: this.region,
+      location: this.location,
       experienceYears: this.experienceYears,
+      role: this.role,
+      level: this.level,
+      employmentType: this.employmentType,
+      education: this.education,
+      industry: this.industry,
+      companySize: this.companySize,
+      companyStage: this.companyStage,
+      ...(equity && {
+        totalCompensation: roundAmount(
+          estimatedSalary + equity.expectedValue,
+          conversion.period
+        ),
+      }),
+      ...(policyBases && {
+        employerRegion: this.employerRegion,
+        payPolicy: this.payPolicy,
+        payPolicies: Object.fromEntries(
+          Object.entries(policyBases).map(([policy, { base, ...terms }]) => [
+            policy,
+            { ...terms, amount: amount(base * totalMultiplier) },
+          ])
+        ),
+      }),
+      modelVersion: this.modelVersion,
+      asOf: trend
+        ? trend.date
+        : parseDate(this.modelWeights.trends.baseDate).date,
       breakdown: {
-        baseSalary,
+        baseSalary: amount(baseSalary),
+        regionBaseSalary: amount(regionSalary),
+        locationMultiplier,
         skillMultiplier: Math.round(skillMultiplier * 100) / 100,
+        skillCategories: skillScore.categories,
+        skillMultiplierCapped: skillScore.capped,
         experienceMultiplier: Math.round(experienceMultiplier * 100) / 100,
+        effectiveExperienceYears: effectiveYears,
+        roleMultiplier,
+        levelMultiplier,
+        certificationMultiplier:
+          Math.round(certificationMultiplier * 1000) / 1000,
+        certifications: credentials.certifications,
+        certificationsCapped: credentials.capped,
+        educationMultiplier,
+        industryMultiplier,
+        companySizeMultiplier,
+        companyStageMultiplier,
+        equity,
         comboBonus: Math.round(comboBonus * 100) / 100,
         seniorBonus: Math.round(seniorBonus * 100) / 100,
         totalMultiplier: Math.round(totalMultiplier * 100) / 100,
+        employment: {
+          ...conversion.employment,
+          factor: Math.round(conversion.employment.factor * 1000) / 1000,
+        },
+        uncertainty: spread,
+        trends: trend
+          ? {
+              baseDate: trend.baseDate,
+              regionIndex:
+                trend.regions[this.region] !== undefined
+                  ? trend.regions[this.region]
+                  : 1.0,
+              skillDemand: Object.fromEntries(
+                matchedSkills
+                  .filter((skill) => trend.skills[skill] !== undefined)
+                  .map((skill) => [skill, trend.skills[skill]])
+              ),
+              projected: trend.projected,
+            }
+          : null,
       },
       skills: {
         matched: matchedSkills,
         unmatched: unmatchedSkills,
-        total: normalizedSkills.length,
+        total: skills.length,
+        resolved: resolved.map(({ input, skill, method }) => ({
+          input,
+          skill,
+          method,
+        })),
+        suggestions,
+        proficiency,
+      },
+      credentials: {
+        matched: credentials.matched,
+        unmatched: credentials.unmatched,
+        education: this.education,
       },
       activeCombos: activeCombo,
-      confidence: this.calculateConfidence(
-        matchedSkills.length,
-        normalizedSkills.length
-      ),
+      ...(explanation && { explanation }),
+      confidence: this.calculateConfidence(matchedSkills.length, inputCount),
       executionTimeMs: executionTime,
       timestamp: new Date().toISOString(),
     };
@@ -121,11 +451,276 @@ class SalaryPredictor {
 
   /**
    * Batch predict for multiple skill sets
-   * @param {Array<Array<string>>} skillSets - Array of skill arrays
+   * @param {Array<Array<string|Object>>} skillSets - Array of skill arrays
+   * @param {Object} options - Per-call output options (see predict)
    * @returns {Array<Object>} Array of predictions
    */
-  batchPredict(skillSets) {
-    return skillSets.map((skills) => this.predict(skills));
+  batchPredict(skillSets, options = {}) {
+    return skillSets.map((skills) => this.predict(skills, options));
+  }
+
+  /**
+   * Predict one profile in every supported region
+   * Each region reports its nominal salary in local currency, the same amount
+   * converted to a common currency, and a purchasing-power-parity amount in
+   * international dollars.
+   * @param {Array<string>} skills - Array of skill names
+   * @param {Object} options
+   * @param {string} options.currency - Common currency for converted amounts (default USD)
+   * @param {string} options.period - Output pay period
+   * @param {string} options.sortBy - "ppp" (default) or "converted"
+   * @returns {Object} Regions ranked by the chosen amount
+   */
+  predictAcrossRegions(skills, options = {}) {
+    const {
+      currency = "USD",
+      period = this.getPeriod(),
+      sortBy = "ppp",
+    } = options;
+    if (!["ppp", "converted"].includes(sortBy)) {
+      throw new InputError(`Unsupported sort: ${sortBy}`);
+    }
+
+    const original = { region: this.region, location: this.location };
+    let regions;
+    try {
+      regions = this.getSupportedRegions().map((region) => {
+        // Compare whole regions, not the configured location
+        this.region = region;
+        this.location = null;
+        const localCurrency = this.getCurrency(region);
+        const result = this.predict(skills, {
+          targetCurrency: localCurrency,
+          period,
+        });
+        const rate = getExchangeRate(
+          localCurrency,
+          currency,
+          this.exchangeRates
+        );
+        const pppFactor = this.modelWeights.ppp[region];
+
+        return {
+          region,
+          nominal: {
+            amount: result.estimatedSalary,
+            currency: localCurrency,
+            range: result.salaryRange,
+          },
+          converted: {
+            amount: roundAmount(result.estimatedSalary * rate, period),
+            currency,
+            rate: Math.round(rate * 1e6) / 1e6,
+          },
+          ppp: pppFactor
+            ? {
+                amount: roundAmount(result.estimatedSalary / pppFactor, period),
+                factor: pppFactor,
+              }
+            : null,
+          confidence: result.confidence,
+        };
+      });
+    } finally {
+      this.region = original.region;
+      this.location = original.location;
+    }
+
+    // Regions without a PPP factor rank last when sorting by PPP
+    const value = (entry) => {
+      if (sortBy === "converted") return entry.converted.amount;
+      return entry.ppp ? entry.ppp.amount : -Infinity;
+    };
+    regions.sort((a, b) => value(b) - value(a));
+    regions.forEach((entry, i) => {
+      entry.rank = i + 1;
+    });
+
+    return {
+      currency,
+      period,
+      sortBy,
+      exchangeRateDate: this.exchangeRates.date,
+      modelVersion: this.modelVersion,
+      regions,
+    };
+  }
+
+  /**
+   * Rank unlearned skills by the salary uplift they would add to a profile
+   * Skills that complete an almost-finished combo come first.
+   * @param {Array<string|Object>} skills - Current skills
+   * @param {Object} options - Recommendation options
+   * @param {number} options.limit - Number of ranked skills to return
+   * @param {number} options.budget - Number of skills in the learning plan
+   * @param {string} options.targetCurrency - Output currency
+   * @param {string} options.period - Output pay period
+   * @returns {Object} Ranked recommendations and a greedy learning plan
+   */
+  recommend(skills, options = {}) {
+    const { limit = 10, budget = 3, targetCurrency, period } = options;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new InputError("limit must be a positive integer");
+    }
+    if (!Number.isInteger(budget) || budget < 0) {
+      throw new InputError("budget must be a non-negative integer");
+    }
+    const output = { targetCurrency, period };
+
+    const current = this.predict(skills, output);
+    const known = current.skills.matched;
+    const candidates = Object.keys(this.modelWeights.skills).filter(
+      (skill) => !known.includes(skill)
+    );
+    // Resolve the profile once; every candidate below is priced on top of it
+    const profile = this.canonicalSkills(skills);
+
+    const recommendations = candidates.map((skill) => {
+      const result = this.predict([...profile, skill], output);
+      const uplift = result.estimatedSalary - current.estimatedSalary;
+      const combos = this.modelWeights.combos.filter((combo) =>
+        combo.skills.includes(skill)
+      );
+
+      return {
+        skill,
+        estimatedSalary: result.estimatedSalary,
+        uplift: roundAmount(uplift, current.period),
+        upliftPercent:
+          Math.round((uplift / current.estimatedSalary) * 10000) / 100,
+        completesCombos: combos
+          .filter((combo) =>
+            combo.skills.every((s) => s === skill || known.includes(s))
+          )
+          .map((combo) => combo.skills.join("+")),
+        advancesCombos: combos
+          .filter(
+            (combo) =>
+              combo.skills.some((s) => s !== skill && known.includes(s)) &&
+              !combo.skills.every((s) => s === skill || known.includes(s))
+          )
+          .map((combo) => combo.skills.join("+")),
+      };
+    });
+
+    recommendations.sort((a, b) => {
+      const completes =
+        (b.completesCombos.length > 0) - (a.completesCombos.length > 0);
+      return completes || b.uplift - a.uplift;
+    });
+
+    // Plan: repeatedly add whichever skill raises the estimate most, so a
+    // skill that only pays off with another one can still be picked
+    const plan = [];
+    let planned = [...profile];
+    let planSalary = current.estimatedSalary;
+    let remaining = [...candidates];
+    for (let i = 0; i < budget && remaining.length > 0; i++) {
+      let best = null;
+      remaining.forEach((skill) => {
+        const result = this.predict([...planned, skill], output);
+        if (!best || result.estimatedSalary > best.estimatedSalary) {
+          best = { skill, estimatedSalary: result.estimatedSalary };
+        }
+      });
+      if (best.estimatedSalary <= planSalary) break;
+
+      plan.push({
+        skill: best.skill,
+        estimatedSalary: best.estimatedSalary,
+        uplift: roundAmount(best.estimatedSalary - planSalary, current.period),
+      });
+      planned = [...planned, best.skill];
+      planSalary = best.estimatedSalary;
+      remaining = remaining.filter((skill) => skill !== best.skill);
+    }
+
+    return {
+      currentSalary: current.estimatedSalary,
+      currency: current.currency,
+      period: current.period,
+      modelVersion: this.modelVersion,
+      skills: { matched: known, unmatched: current.skills.unmatched },
+      recommendations: recommendations.slice(0, limit),
+      plan: {
+        skills: plan,
+        estimatedSalary: planSalary,
+        uplift: roundAmount(
+          planSalary - current.estimatedSalary,
+          current.period
+        ),
+      },
+    };
+  }
+
+  /**
+   * Find the skills and experience needed to reach a target salary or role
+   * @param {Array<string|Object>} skills - Current skills
+   * @param {Object} options - Target and search options (see core/skillGap.js)
+   * @returns {Object} Alternative paths, or the closest result when unreachable
+   */
+  analyzeGap(skills, options = {}) {
+    return analyzeSkillGap(this, skills, options);
+  }
+
+  /**
+   * Project the salary for each of the coming years
+   * @param {Array<string|Object>} skills - Current skills
+   * @param {Object} options - Years, planned skills and market growth (see core/trajectory.js)
+   * @returns {Object} One point per year, starting with today
+   */
+  projectTrajectory(skills, options = {}) {
+    return projectTrajectory(this, skills, options);
+  }
+
+  /**
+   * Generate a pay band for every level of the job-level ladder
+   * @param {Array<string|Object>} skills - Skills of the job family
+   * @param {Object} options - Output options ({ targetCurrency, period })
+   * @returns {Object} Bands with min/mid/max and the overlap between neighbours
+   */
+  generateBands(skills, options = {}) {
+    return generateBands(this, skills, options);
+  }
+
+  /**
+   * Extract skills and experience from résumé or job-posting text
+   * @param {string} text - Plain text or Markdown
+   * @param {Object} options - Extraction options (see core/extraction.js)
+   * @returns {Object} Extracted skills, matched spans and experience estimate
+   */
+  extract(text, options = {}) {
+    return extractProfile(text, this.modelWeights, options);
+  }
+
+  /**
+   * Evaluate a salary offer against the predicted market for a profile
+   * @param {Array<string|Object>} skills - Candidate's skills
+   * @param {Object} offer - Offer ({ amount, currency, period })
+   * @returns {Object} Percentile position, difference from market, verdict and the prediction
+   */
+  evaluateOffer(skills, offer = {}) {
+    const prediction = this.predict(skills, {
+      targetCurrency: offer.currency,
+      period: offer.period,
+    });
+    const evaluation = evaluateOffer(prediction, offer.amount);
+
+    return {
+      offer: {
+        amount: offer.amount,
+        currency: prediction.currency,
+        period: prediction.period,
+      },
+      market: {
+        estimatedSalary: prediction.estimatedSalary,
+        salaryRange: prediction.salaryRange,
+        percentiles: prediction.percentiles,
+      },
+      ...evaluation,
+      modelVersion: this.modelVersion,
+      prediction,
+    };
   }
 
   /**
@@ -138,11 +733,90 @@ class SalaryPredictor {
     return Math.round((matchRate * 0.7 + skillCount * 0.3) * 100);
   }
 
+  /**
+   * Calculate the spread (log-scale standard deviation) of the salary
+   * distribution; it widens with unmatched skills, sparse regions and
+   * extreme experience
+   */
+  calculateSpread(matched, total, experienceYears) {
+    const { uncertainty } = this.modelWeights;
+    const unmatchedShare = total === 0 ? 1 : (total - matched) / total;
+
+    let experience = 0;
+    if (experienceYears <= uncertainty.experience.juniorYears) {
+      experience = uncertainty.experience.junior;
+    } else if (experienceYears > uncertainty.experience.seniorYears) {
+      experience =
+        (experienceYears - uncertainty.experience.seniorYears) *
+        uncertainty.experience.perSeniorYear;
+    }
+
+    const region =
+      uncertainty.regions[this.region] !== undefined
+        ? uncertainty.regions[this.region]
+        : uncertainty.defaultRegion;
+    const unmatched = unmatchedShare * uncertainty.unmatched;
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    return {
+      total: round(uncertainty.base + unmatched + region + experience),
+      base: uncertainty.base,
+      unmatchedSkills: round(unmatched),
+      region,
+      experience: round(experience),
+    };
+  }
+
+  /**
+   * Calculate salary percentiles of a log-normal distribution around the estimate
+   * @param {number} median - Estimated salary
+   * @param {number} spread - Log-scale standard deviation
+   * @param {string} period - Pay period, for rounding
+   * @returns {Object} p10, p25, p50, p75 and p90
+   */
+  calculatePercentiles(median, spread, period = "annual") {
+    const percentiles = {};
+    Object.entries(PERCENTILE_Z).forEach(([name, z]) => {
+      percentiles[name] = roundAmount(median * Math.exp(z * spread), period);
+    });
+    return percentiles;
+  }
+
+  /**
+   * Conversion from annual amounts in the model's base currency
+   * @param {string} [targetCurrency] - Output currency, the region's currency by default
+   * @param {string} period - Output pay period
+   * @returns {Object} Currency, period, combined factor and the exchange rate used
+   */
+  getConversion(targetCurrency, period) {
+    const { baseCurrency } = this.modelWeights;
+    const currency =
+      targetCurrency ||
+      (this.location && this.location.currency) ||
+      this.getCurrency(this.region);
+    const rate = getExchangeRate(baseCurrency, currency, this.exchangeRates);
+
+    const employment = this.getEmploymentTerms(period);
+
+    return {
+      currency,
+      period,
+      factor: (rate / periodsPerYear(period)) * employment.factor,
+      employment,
+      exchangeRate: {
+        from: baseCurrency,
+        to: currency,
+        rate: Math.round(rate * 1e6) / 1e6,
+        date: this.exchangeRates.date,
+      },
+    };
+  }
+
   /**
    * Get currency for region
    */
   getCurrency(region) {
-    return data.currencies[region] || "USD";
+    return this.modelWeights.currencies[region] || "USD";
   }
 
   /**
@@ -152,6 +826,31 @@ class SalaryPredictor {
     return Object.keys(this.modelWeights.skills).sort();
   }
 
+  /**
+   * Resolve skill names to canonical skills without predicting
+   * @param {Array<string>} skills - Array of skill names
+   * @returns {Array<Object>} Resolution per input
+   */
+  resolveSkills(skills) {
+    return this.resolver.resolveAll(skills);
+  }
+
+  /**
+   * Name each matched skill by its canonical key and drop unmatched ones
+   * Variations of one profile can then be priced without fuzzy matching its
+   * names again; the estimate is the same, as unmatched names only widen the range.
+   * @param {Array<string|Object>} skills - Skill names or { name, ... } objects
+   * @returns {Array<string|Object>} Canonical skills, proficiency fields kept
+   */
+  canonicalSkills(skills) {
+    const resolved = this.resolver.resolveAll(skills.map(skillName));
+    return skills.flatMap((skill, i) => {
+      const key = resolved[i].skill;
+      if (!key) return [];
+      return typeof skill === "string" ? [key] : [{ ...skill, name: key }];
+    });
+  }
+
   /**
    * Get all supported regions
    */
@@ -160,10 +859,36 @@ class SalaryPredictor {
   }
 
   /**
-   * Update region
+   * Get the location hierarchy (region -> country -> metro)
+   */
+  getLocationTree() {
+    return locationTree(
+      this.modelWeights.locations,
+      this.modelWeights.currencies
+    );
+  }
+
+  /**
+   * Update region (clears a location outside the new region)
    */
   setRegion(region) {
     this.region = region;
+    if (this.location && this.location.region !== region) {
+      this.location = null;
+    }
+    return this;
+  }
+
+  /**
+   * Update location (country code or metro id); also sets its region
+   */
+  setLocation(location) {
+    this.location = location
+      ? resolveLocation(this.modelWeights.locations, location)
+      : null;
+    if (this.location) {
+      this.region = this.location.region;
+    }
     return this;
   }
 
@@ -174,11 +899,231 @@ class SalaryPredictor {
     this.experienceYears = years;
     return this;
   }
+
+  /**
+   * Update role ("ML Engineer" and "mlengineer" are equivalent)
+   */
+  setRole(role) {
+    this.role = this.resolveKey(role, this.modelWeights.roles, "role");
+    return this;
+  }
+
+  /**
+   * Update seniority level
+   */
+  setLevel(level) {
+    this.level = this.resolveKey(level, this.modelWeights.levels, "level");
+    return this;
+  }
+
+  /**
+   * Set the employment type (full-time, part-time, contract, freelance)
+   */
+  setEmploymentType(type) {
+    this.employmentType = this.resolveKey(
+      type,
+      this.modelWeights.employment,
+      "employment type"
+    );
+    return this;
+  }
+
+  /**
+   * Set certifications and the highest degree
+   */
+  setCredentials(certifications = [], education = null) {
+    this.certifications = certifications;
+    this.education = this.resolveKey(
+      education,
+      this.modelWeights.credentials.degrees,
+      "education level"
+    );
+    return this;
+  }
+
+  /**
+   * Set the employer's industry, size and funding stage
+   */
+  setCompany(industry, size, stage) {
+    const { industries, sizes, stages } = this.modelWeights.company;
+    this.industry = this.resolveKey(industry, industries, "industry");
+    this.companySize = this.resolveKey(size, sizes, "company size");
+    this.companyStage = this.resolveKey(stage, stages, "company stage");
+    return this;
+  }
+
+  /**
+   * Set the employer's region and how a remote employee is paid
+   * @param {string} employerRegion - Employer's region; none when not remote
+   * @param {string} policy - local, employer, blend or geo-tier
+   * @param {Object} options - blendWeight and geoTiers overriding the model's
+   */
+  setPayPolicy(employerRegion, policy, options = {}) {
+    const policies = this.modelWeights.payPolicies;
+    if (
+      employerRegion &&
+      this.modelWeights.baseSalaries[employerRegion] === undefined
+    ) {
+      throw new InputError(`Unknown employer region: ${employerRegion}`);
+    }
+    const { blendWeight = policies.blend.weight, geoTiers = {} } = options;
+    if (!(blendWeight >= 0 && blendWeight <= 1)) {
+      throw new InputError("blendWeight must be between 0 and 1");
+    }
+
+    const payPolicy = this.resolveKey(
+      policy || "local",
+      policies,
+      "pay policy"
+    );
+    // Every policy but local is priced against the employer's market
+    if (payPolicy !== "local" && !employerRegion) {
+      throw new InputError(`Pay policy ${policy} needs an employerRegion`);
+    }
+
+    this.employerRegion = employerRegion || null;
+    this.payPolicy = payPolicy;
+    this.blendWeight = blendWeight;
+    this.geoTiers = { ...policies.geotier.tiers, ...geoTiers };
+    return this;
+  }
+
+  /**
+   * Base salary under each pay policy, when the employer is elsewhere
+   * @param {number} localSalary - Base salary in the employee's market
+   * @param {Object} baseSalaries - Region base salaries, dated when asOf is set
+   * @returns {Object|null} Policy -> { name, base, ... }
+   */
+  getPolicyBases(localSalary, baseSalaries = this.modelWeights.baseSalaries) {
+    if (!this.employerRegion) return null;
+    const policies = this.modelWeights.payPolicies;
+    const employerSalary = baseSalaries[this.employerRegion];
+    const tier =
+      this.geoTiers[this.region] !== undefined
+        ? this.geoTiers[this.region]
+        : policies.geotier.defaultTier;
+
+    return {
+      local: { name: policies.local.name, base: localSalary },
+      employer: { name: policies.employer.name, base: employerSalary },
+      blend: {
+        name: policies.blend.name,
+        weight: this.blendWeight,
+        base:
+          localSalary * (1 - this.blendWeight) +
+          employerSalary * this.blendWeight,
+      },
+      geotier: {
+        name: policies.geotier.name,
+        tier,
+        base: employerSalary * tier,
+      },
+    };
+  }
+
+  /**
+   * Base salaries and skill weights as of a date
+   * Region salaries follow the region's salary index and each skill's uplift
+   * its demand index; without a date the model's own values are used.
+   * @param {string|number|Date} asOf - Effective date
+   * @returns {Object} trend (see core/trends.js), baseSalaries and skills
+   */
+  getDatedWeights(asOf) {
+    const { baseSalaries, skills, trends } = this.modelWeights;
+    if (!asOf) return { trend: null, baseSalaries, skills };
+
+    const trend = trendsAt(trends, asOf);
+    const scale = (table, adjust) =>
+      Object.fromEntries(
+        Object.entries(table).map(([key, value]) => [key, adjust(key, value)])
+      );
+    return {
+      trend,
+      baseSalaries: scale(baseSalaries, (region, salary) =>
+        trend.regions[region] !== undefined
+          ? salary * trend.regions[region]
+          : salary
+      ),
+      skills: scale(skills, (skill, weight) =>
+        trend.skills[skill] !== undefined
+          ? 1.0 + (weight - 1.0) * trend.skills[skill]
+          : weight
+      ),
+    };
+  }
+
+  /**
+   * Output period: the configured one, else the employment type's default
+   */
+  getPeriod() {
+    const type = this.modelWeights.employment[this.employmentType];
+    return this.period || type.period || "annual";
+  }
+
+  /**
+   * Conversion from a full-time annual salary to the employment type's pay
+   * Part-time pay is pro-rated by FTE, but its daily and hourly rates match
+   * full-time. Contract and freelance pay adds the overhead a client no
+   * longer covers; their daily and hourly rates spread it over billed days.
+   * @param {string} period - Output pay period
+   * @returns {Object} Factor on the full-time amount and the assumptions used
+   */
+  getEmploymentTerms(period) {
+    const type = this.modelWeights.employment[this.employmentType];
+    const perTime = period === "daily" || period === "hourly";
+    const terms = { type: this.employmentType, name: type.name };
+
+    if (type.regions) {
+      const regional = type.regions[this.region];
+      const { utilization, overhead } = regional || type.regions.default;
+      return {
+        ...terms,
+        utilization,
+        overhead,
+        billableDaysPerYear: Math.round(periodsPerYear("daily") * utilization),
+        source: regional ? this.region : "default",
+        factor: (1 + overhead) / (perTime ? utilization : 1),
+      };
+    }
+    if (type.fte !== undefined) {
+      return { ...terms, fte: type.fte, factor: perTime ? 1 : type.fte };
+    }
+    return { ...terms, factor: 1 };
+  }
+
+  /**
+   * Normalize a role or level name and check it is supported
+   */
+  resolveKey(value, table, kind) {
+    if (!value) return null;
+    const key = SkillResolver.normalize(value);
+    if (!Object.hasOwn(table, key)) {
+      throw new InputError(
+        `Unknown ${kind}: ${value} (supported: ${Object.keys(table).join(
+          ", "
+        )})`
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Update output currency and pay period
+   */
+  setOutput(targetCurrency, period = this.period) {
+    this.targetCurrency = targetCurrency;
+    this.period = period;
+    return this;
+  }
 }
 
 // Job Queue for async processing
 class JobQueue {
-  constructor() {
+  /**
+   * @param {Object} predictorDefaults - Options applied to every job's predictor (e.g. model)
+   */
+  constructor(predictorDefaults = {}) {
+    this.predictorDefaults = predictorDefaults;
     this.jobs = new Map();
     this.jobCounter = 0;
   }
@@ -204,7 +1149,10 @@ class JobQueue {
     setImmediate(async () => {
       try {
         job.status = "processing";
-        const predictor = new SalaryPredictor(options);
+        const predictor = new SalaryPredictor({
+          ...this.predictorDefaults,
+          ...options,
+        });
         const result = predictor.predict(skills);
 
         job.result = result;
@@ -0,0 +1,83 @@
+// core/proficiency.js
+/**
+ * Per-skill proficiency
+ * Skills may be given as plain names or as objects
+ * ({ name, level, years, lastUsed }); the object fields scale the skill's
+ * contribution by proficiency level, years of use and recency.
+ */
+
+const { InputError } = require("./errors");
+
+/**
+ * Name of a skill given as a string or an object
+ * @param {string|Object} skill - Skill name or { name, ... }
+ * @returns {string} Skill name
+ */
+function skillName(skill) {
+  return typeof skill === "string" ? skill : skill && skill.name;
+}
+
+/**
+ * Fractional year of a lastUsed value (a year like 2021 or a date like "2021-06")
+ */
+function toYear(value) {
+  if (typeof value === "number") return value;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw new InputError(`Invalid lastUsed date: ${value}`);
+  }
+  return date.getUTCFullYear() + date.getUTCMonth() / 12;
+}
+
+/**
+ * Factor applied to a skill's uplift
+ * @param {string|Object} skill - Skill name or { name, level, years, lastUsed }
+ * @param {Object} config - Proficiency configuration (core/data/proficiency.js)
+ * @param {Date} now - Reference date for recency
+ * @returns {{factor: number, level: number, years: number, recency: number}|null}
+ *   Factor and its components, or null for plain names
+ */
+function proficiencyFactor(skill, config, now = new Date()) {
+  if (typeof skill === "string") return null;
+
+  let level = 1.0;
+  if (skill.level !== undefined) {
+    const key = String(skill.level).toLowerCase();
+    if (!Object.hasOwn(config.levels, key)) {
+      throw new InputError(
+        `Unknown proficiency level: ${skill.level} (supported: ${Object.keys(
+          config.levels
+        ).join(", ")})`
+      );
+    }
+    level = config.levels[key];
+  }
+
+  let years = 1.0;
+  if (skill.years !== undefined) {
+    years = Math.min(
+      config.years.base + skill.years * config.years.perYear,
+      config.years.max
+    );
+  }
+
+  let recency = 1.0;
+  if (skill.lastUsed !== undefined) {
+    const currentYear = now.getUTCFullYear() + now.getUTCMonth() / 12;
+    const idle =
+      currentYear - toYear(skill.lastUsed) - config.recency.graceYears;
+    if (idle > 0) {
+      recency = Math.max(1 - idle * config.recency.perYear, config.recency.min);
+    }
+  }
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    factor: round(level * years * recency),
+    level: round(level),
+    years: round(years),
+    recency: round(recency),
+  };
+}
+
+module.exports = { skillName, proficiencyFactor };
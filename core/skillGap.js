@@ -0,0 +1,170 @@
+// core/skillGap.js
+/**
+ * Skill-gap analysis
+ * Finds the smallest sets of new skills, and the extra years of experience,
+ * that take a profile to a target salary or to the typical salary of a
+ * target role. Every candidate is priced with SalaryPredictor.predict, so
+ * the same weights, combos and caps apply. The search is a beam search over
+ * added skills: each round extends the best partial sets by one skill.
+ */
+
+const { InputError } = require("./errors");
+const { roundAmount } = require("./currency");
+
+const BEAM_WIDTH = 5;
+
+/**
+ * Analyze the gap between a profile and a target
+ * @param {SalaryPredictor} predictor - Configured predictor (region, experience, ...)
+ * @param {Array<string|Object>} skills - Current skills
+ * @param {Object} options - Gap options
+ * @param {number} options.targetSalary - Target salary in the output currency and period
+ * @param {string} options.targetRole - Target role; its core skills become required
+ * @param {number} options.maxSkills - Most new skills in a path
+ * @param {number} options.maxYears - Most extra years of experience in a path
+ * @param {number} options.paths - Number of alternative paths to return
+ * @param {string} options.targetCurrency - Output currency
+ * @param {string} options.period - Output pay period
+ * @returns {Object} Current and target salary, alternative paths, reachability
+ */
+function analyzeSkillGap(predictor, skills, options = {}) {
+  const {
+    targetSalary,
+    targetRole,
+    maxSkills = 3,
+    maxYears = 10,
+    paths: pathCount = 3,
+    targetCurrency,
+    period,
+  } = options;
+  if (targetSalary === undefined && !targetRole) {
+    throw new InputError("Either targetSalary or targetRole is required");
+  }
+  if (targetSalary !== undefined && !(targetSalary > 0)) {
+    throw new InputError("targetSalary must be a positive number");
+  }
+  const output = { targetCurrency, period };
+
+  const original = {
+    role: predictor.role,
+    experienceYears: predictor.experienceYears,
+  };
+  try {
+    // The current salary is the profile in its own role
+    const current = predictor.predict(skills, output);
+    const known = current.skills.matched;
+
+    // A target role is priced as a typical member of that role: its core
+    // skills at the profile's experience
+    let requiredSkills = [];
+    let target = targetSalary;
+    if (targetRole) {
+      predictor.setRole(targetRole);
+      const roleSkills = predictor.modelWeights.roles[predictor.role].skills;
+      requiredSkills = roleSkills || [];
+      if (target === undefined) {
+        target = predictor.predict(requiredSkills, output).estimatedSalary;
+      }
+    }
+
+    // Resolve the profile once; every path below is priced on top of it
+    const profile = predictor.canonicalSkills(skills);
+    const required = requiredSkills.filter((skill) => !known.includes(skill));
+    const price = (added, extraYears = 0) => {
+      predictor.setExperience(original.experienceYears + extraYears);
+      return predictor.predict([...profile, ...added], output).estimatedSalary;
+    };
+    const path = (added, extraYears, salary) => ({
+      skills: added,
+      extraYears,
+      estimatedSalary: salary,
+      surplus: roundAmount(salary - target, current.period),
+    });
+
+    // Skill-only paths: the smallest sets that reach the target
+    const candidates = Object.keys(predictor.modelWeights.skills).filter(
+      (skill) => !known.includes(skill) && !required.includes(skill)
+    );
+    let beam = [{ added: required, salary: price(required) }];
+    const bestByDepth = [beam[0]];
+    let found = beam[0].salary >= target ? [beam[0]] : [];
+    for (
+      let depth = required.length + 1;
+      depth <= required.length + maxSkills && found.length === 0;
+      depth++
+    ) {
+      const seen = new Set();
+      const next = [];
+      beam.forEach((entry) => {
+        candidates.forEach((skill) => {
+          if (entry.added.includes(skill)) return;
+          const added = [...entry.added, skill];
+          const key = [...added].sort().join("+");
+          if (seen.has(key)) return;
+          seen.add(key);
+          next.push({ added, salary: price(added) });
+        });
+      });
+      if (next.length === 0) break;
+
+      next.sort((a, b) => b.salary - a.salary);
+      found = next.filter((entry) => entry.salary >= target);
+      beam = next.slice(0, BEAM_WIDTH);
+      bestByDepth.push(beam[0]);
+    }
+
+    const results = found
+      .slice(0, pathCount)
+      .map((entry) => path(entry.added, 0, entry.salary));
+
+    // Mixed paths: the best smaller skill sets plus the years they still need
+    bestByDepth
+      .filter((entry) => entry.salary < target)
+      .forEach((entry) => {
+        for (let years = 1; years <= maxYears; years++) {
+          const salary = price(entry.added, years);
+          if (salary >= target) {
+            results.push(path(entry.added, years, salary));
+            break;
+          }
+        }
+      });
+
+    // Already there only if no core skill of the target role is missing
+    const met = required.length === 0 && current.estimatedSalary >= target;
+    const reachable = met || results.length > 0;
+    const best = bestByDepth[bestByDepth.length - 1];
+
+    return {
+      currentSalary: current.estimatedSalary,
+      targetSalary: target,
+      targetRole: targetRole ? predictor.role : null,
+      gap: roundAmount(
+        Math.max(target - current.estimatedSalary, 0),
+        current.period
+      ),
+      currency: current.currency,
+      period: current.period,
+      region: predictor.region,
+      location: predictor.location ? predictor.location.id : null,
+      modelVersion: predictor.modelVersion,
+      requiredSkills: required,
+      reachable,
+      paths: met
+        ? []
+        : results
+            .sort((a, b) => a.extraYears - b.extraYears)
+            .slice(0, pathCount),
+      closest: reachable
+        ? null
+        : path(best.added, maxYears, price(best.added, maxYears)),
+    };
+  } finally {
+    predictor.role = original.role;
+    predictor.experienceYears = original.experienceYears;
+  }
+}
+
+module.exports = {
+  analyzeSkillGap,
+};
@@ -0,0 +1,211 @@
+// core/skillResolver.js
+/**
+ * Skill resolution layer
+ * Maps free-form skill names to canonical skill keys via exact match,
+ * curated aliases and typo-tolerant fuzzy matching
+ */
+
+const nearMisses = require("./data/nearMisses");
+
+// Resolutions kept per resolver; a predictor resolves the same names again
+// for every year of a trajectory or every candidate skill it prices
+const MAX_CACHED = 1000;
+
+class SkillResolver {
+  /**
+   * @param {Object<string, number>} skills - Canonical skill weights
+   * @param {Object<string, string>} aliases - Normalized alias -> canonical skill
+   * @param {string[]} distinct - Normalized names that are never fuzzy matched
+   */
+  constructor(skills, aliases = {}, distinct = nearMisses) {
+    this.skills = skills;
+    this.aliases = {};
+    Object.entries(aliases).forEach(([alias, skill]) => {
+      this.aliases[SkillResolver.normalize(alias)] = skill;
+    });
+    this.candidates = [...Object.keys(skills), ...Object.keys(this.aliases)];
+    this.distinct = new Set(distinct.map(SkillResolver.normalize));
+    this.cache = new Map();
+  }
+
+  /**
+   * Normalize a skill name, keeping punctuation that carries meaning
+   * (C++ -> cpp, C# -> csharp, Node.js -> nodejs)
+   * @param {string} name - Raw skill name
+   * @returns {string} Normalized key
+   */
+  static normalize(name) {
+    return String(name)
+      .toLowerCase()
+      .trim()
+      .replace(/\+\+/g, "pp")
+      .replace(/#/g, "sharp")
+      .replace(/[^a-z0-9]/g, "");
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus transpositions)
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} Edit distance
+   */
+  static distance(a, b) {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+      d[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+      d[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + cost
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[a.length][b.length];
+  }
+
+  /**
+   * Maximum edit distance accepted as a fuzzy match for a key of this length.
+   * Short keys are never fuzzy matched ("go" vs "js" is not a typo).
+   */
+  static maxTypos(length) {
+    if (length <= 4) return 0;
+    if (length <= 8) return 1;
+    return 2;
+  }
+
+  /**
+   * Canonical skill for a candidate key (skill or alias)
+   */
+  canonical(key) {
+    return Object.hasOwn(this.skills, key) ? key : this.aliases[key];
+  }
+
+  /**
+   * Resolve a single skill name
+   * @param {string} input - Raw skill name
+   * @returns {{input: string, skill: string|null, method: string|null, suggestions?: string[]}}
+   */
+  resolve(input) {
+    const key = SkillResolver.normalize(input);
+    let found = this.cache.get(key);
+    if (!found) {
+      found = this.match(key);
+      if (this.cache.size >= MAX_CACHED) this.cache.clear();
+      this.cache.set(key, found);
+    }
+
+    return found.suggestions
+      ? { input, ...found, suggestions: [...found.suggestions] }
+      : { input, ...found };
+  }
+
+  /**
+   * Match a normalized key, uncached
+   * @param {string} key - Normalized skill name
+   * @returns {{skill: string|null, method: string|null, suggestions?: string[]}}
+   */
+  match(key) {
+    // Own keys only, so "constructor" or "__proto__" never match
+    if (Object.hasOwn(this.skills, key)) {
+      return { skill: key, method: "exact" };
+    }
+
+    if (Object.hasOwn(this.aliases, key)) {
+      return { skill: this.aliases[key], method: "alias" };
+    }
+
+    // Known technologies of their own are left unmatched rather than
+    // corrected to a similar priced skill
+    const maxTypos = this.distinct.has(key)
+      ? 0
+      : SkillResolver.maxTypos(key.length);
+    if (maxTypos > 0) {
+      let best = null;
+      let bestDistance = Infinity;
+      let ambiguous = false;
+
+      this.candidates.forEach((candidate) => {
+        // Typos rarely hit the first letter; names that differ there are
+        // usually different tools
+        if (candidate[0] !== key[0]) return;
+        if (Math.abs(candidate.length - key.length) > maxTypos) return;
+        const distance = SkillResolver.distance(key, candidate);
+        if (distance > maxTypos) return;
+
+        const skill = this.canonical(candidate);
+        if (distance < bestDistance) {
+          best = skill;
+          bestDistance = distance;
+          ambiguous = false;
+        } else if (distance === bestDistance && skill !== best) {
+          ambiguous = true;
+        }
+      });
+
+      if (best && !ambiguous) {
+        return { skill: best, method: "fuzzy" };
+      }
+    }
+
+    return { skill: null, method: null, suggestions: this.suggest(key) };
+  }
+
+  /**
+   * Resolve a list of skill names
+   * @param {string[]} inputs - Raw skill names
+   * @returns {Object[]} Resolution per input, in order
+   */
+  resolveAll(inputs) {
+    return inputs.map((input) => this.resolve(input));
+  }
+
+  /**
+   * "Did you mean" suggestions for an unresolved key
+   * @param {string} key - Normalized key
+   * @param {number} limit - Maximum suggestions
+   * @returns {string[]} Canonical skill keys, closest first
+   */
+  suggest(key, limit = 3) {
+    if (!key) return [];
+
+    const threshold = Math.max(2, Math.floor(key.length / 3));
+    const scored = {};
+
+    this.candidates.forEach((candidate) => {
+      let score = SkillResolver.distance(key, candidate);
+      if (
+        score > threshold &&
+        key.length >= 3 &&
+        candidate.length >= 3 &&
+        (candidate.includes(key) || key.includes(candidate))
+      ) {
+        score = threshold;
+      }
+      if (score > threshold) return;
+
+      const skill = this.canonical(candidate);
+      if (scored[skill] === undefined || score < scored[skill]) {
+        scored[skill] = score;
+      }
+    });
+
+    return Object.entries(scored)
+      .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([skill]) => skill);
+  }
+}
+
+module.exports = { SkillResolver };
@@ -0,0 +1,97 @@
+// core/skillScoring.js
+/**
+ * Skill multiplier scoring with category-aware diminishing returns
+ * Within a category skills are ranked by uplift and each further skill
+ * counts less (saturation.decay); every category is capped, and so is the total.
+ */
+
+/**
+ * Map each skill to its category
+ * @param {Object} categories - Category definitions ({ name: { cap, skills } })
+ * @returns {Object<string, string>} Skill -> category name
+ */
+function categoryIndex(categories) {
+  const index = {};
+  Object.entries(categories).forEach(([name, category]) => {
+    category.skills.forEach((skill) => {
+      index[skill] = name;
+    });
+  });
+  return index;
+}
+
+/**
+ * Score matched skills
+ * @param {string[]} matchedSkills - Canonical skill keys
+ * @param {Object} weights - Model weights (skills, categories, saturation)
+ * @param {Object<string, number>} factors - Optional per-skill scaling of the uplift (proficiency)
+ * @returns {Object} Multiplier, per-category totals and per-skill contributions
+ */
+function scoreSkills(matchedSkills, weights, factors = {}) {
+  const { skills, categories, saturation } = weights;
+  const index = categoryIndex(categories);
+
+  // Group uplifts by category; uncategorized skills fall into "other"
+  const groups = {};
+  matchedSkills.forEach((skill) => {
+    const name = index[skill] || "other";
+    if (!groups[name]) groups[name] = [];
+    const factor = factors[skill] !== undefined ? factors[skill] : 1.0;
+    groups[name].push({ skill, uplift: (skills[skill] - 1.0) * factor });
+  });
+
+  const contributions = {};
+  const categoryTotals = {};
+  let total = 0;
+
+  Object.entries(groups).forEach(([name, entries]) => {
+    const cap = categories[name] ? categories[name].cap : saturation.maxUplift;
+    entries.sort((a, b) => b.uplift - a.uplift);
+
+    let raw = 0;
+    let decayed = 0;
+    entries.forEach((entry, rank) => {
+      entry.effective = entry.uplift * Math.pow(saturation.decay, rank);
+      raw += entry.uplift;
+      decayed += entry.effective;
+    });
+
+    const saturated = decayed > cap;
+    const scale = saturated ? cap / decayed : 1;
+    entries.forEach((entry) => {
+      contributions[entry.skill] = entry.effective * scale;
+    });
+
+    const contribution = saturated ? cap : decayed;
+    total += contribution;
+    categoryTotals[name] = {
+      skills: entries.map((entry) => entry.skill),
+      raw: round(raw),
+      contribution: round(contribution),
+      cap,
+      saturated,
+    };
+  });
+
+  const capped = total > saturation.maxUplift;
+  if (capped) {
+    const scale = saturation.maxUplift / total;
+    Object.keys(contributions).forEach((skill) => {
+      contributions[skill] *= scale;
+    });
+    total = saturation.maxUplift;
+  }
+
+  return {
+    multiplier: 1.0 + total,
+    categories: categoryTotals,
+    contributions,
+    capped,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = { scoreSkills, categoryIndex };
@@ -0,0 +1,130 @@
+// core/teams.js
+/**
+ * Team and hiring-plan budgets
+ * Turns one annual prediction per position into the cost of a hiring plan:
+ * the annual run rate per position and in total, a month-by-month burn
+ * schedule that starts each position in its start month, and a min/max
+ * envelope taken from each prediction's salary range.
+ */
+
+const { InputError } = require("./errors");
+const { roundAmount } = require("./currency");
+
+const MAX_MONTHS = 60;
+
+/**
+ * Estimate the cost of a hiring plan
+ * @param {Array<Object>} positions - Positions ({ label, headcount, startMonth })
+ * @param {Array<Object>} predictions - Annual prediction for one hire in each position, in one currency
+ * @param {Object} options - Plan options
+ * @param {number} options.months - Length of the plan in months (default 12)
+ * @returns {Object} Per-position and total cost, monthly burn and envelope
+ */
+function estimateTeam(positions, predictions, options = {}) {
+  const { months = 12 } = options;
+  if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) {
+    throw new InputError(
+      `months must be an integer between 1 and ${MAX_MONTHS}`
+    );
+  }
+  if (predictions.some((p) => p.period !== "annual")) {
+    throw new InputError("Team estimates need annual predictions");
+  }
+
+  const priced = positions.map((position, i) => {
+    const { headcount = 1, startMonth = 1 } = position;
+    const label = position.label || `Position ${i + 1}`;
+    if (!Number.isInteger(headcount) || headcount < 1) {
+      throw new InputError(`Headcount of ${label} must be a positive integer`);
+    }
+    if (
+      !Number.isInteger(startMonth) ||
+      startMonth < 1 ||
+      startMonth > months
+    ) {
+      throw new InputError(
+        `Start month of ${label} must be between 1 and ${months}`
+      );
+    }
+
+    const prediction = predictions[i];
+    const monthsActive = months - startMonth + 1;
+    const cost = (annual) => ({
+      annual: roundAmount(annual * headcount),
+      plan: roundAmount(((annual * headcount) / 12) * monthsActive),
+    });
+    const expected = cost(prediction.estimatedSalary);
+    return {
+      label,
+      headcount,
+      startMonth,
+      monthsActive,
+      region: prediction.region,
+      location: prediction.location ? prediction.location.id : null,
+      experienceYears: prediction.experienceYears,
+      role: prediction.role,
+      level: prediction.level,
+      employmentType: prediction.employmentType,
+      skills: prediction.skills.matched,
+      salary: prediction.estimatedSalary,
+      salaryRange: prediction.salaryRange,
+      annualCost: expected.annual,
+      planCost: expected.plan,
+      envelope: {
+        min: cost(prediction.salaryRange.min),
+        max: cost(prediction.salaryRange.max),
+      },
+    };
+  });
+
+  // Each month pays one twelfth of the annual cost of every started position
+  let cumulative = 0;
+  const burn = [];
+  for (let month = 1; month <= months; month++) {
+    const active = priced.filter((position) => position.startMonth <= month);
+    const monthly = (annual) =>
+      active.reduce(
+        (sum, position) => sum + (annual(position) * position.headcount) / 12,
+        0
+      );
+    const cost = monthly((position) => position.salary);
+    cumulative += cost;
+    burn.push({
+      month,
+      headcount: active.reduce((sum, position) => sum + position.headcount, 0),
+      cost: roundAmount(cost),
+      min: roundAmount(monthly((position) => position.salaryRange.min)),
+      max: roundAmount(monthly((position) => position.salaryRange.max)),
+      cumulative: roundAmount(cumulative),
+    });
+  }
+
+  const sum = (value) =>
+    priced.reduce((total, position) => total + value(position), 0);
+  return {
+    currency: predictions[0].currency,
+    months,
+    modelVersion: predictions[0].modelVersion,
+    positions: priced,
+    totals: {
+      headcount: sum((position) => position.headcount),
+      annualCost: sum((position) => position.annualCost),
+      planCost: sum((position) => position.planCost),
+      envelope: {
+        min: {
+          annual: sum((position) => position.envelope.min.annual),
+          plan: sum((position) => position.envelope.min.plan),
+        },
+        max: {
+          annual: sum((position) => position.envelope.max.annual),
+          plan: sum((position) => position.envelope.max.plan),
+        },
+      },
+    },
+    burn,
+  };
+}
+
+module.exports = {
+  estimateTeam,
+};
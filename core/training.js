@@ -0,0 +1,404 @@
+// core/training.js
+/**
+ * Model training from observed salaries
+ * Fits the model the predictor evaluates,
+ *   salary = region * (1 + skills) * (1 + perYear * years) * (1 + combos + senior)
+ * where the skill term sums uplifts with the same per-category decay and caps,
+ * by least squares on log salaries (Gauss-Newton). A ridge penalty pulls every
+ * value towards a prior model pack, so skills with few samples stay close to
+ * their prior weights. The fit is turned into a new model pack that
+ * SalaryPredictor can load, and its error is measured with that predictor.
+ */
+
+const { loadModelPack } = require("./modelPack");
+const { SalaryPredictor } = require("./predictor");
+const { SkillResolver } = require("./skillResolver");
+const { scoreSkills } = require("./skillScoring");
+const { loadExchangeRates, convertCurrency } = require("./currency");
+
+/**
+ * Solve the linear system A x = b (Gaussian elimination, partial pivoting)
+ * @param {number[][]} A - Square matrix (modified in place)
+ * @param {number[]} b - Right-hand side (modified in place)
+ * @returns {number[]} Solution
+ */
+function solve(A, b) {
+  const n = b.length;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) {
+        A[row][k] -= factor * A[col][k];
+      }
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) {
+      sum -= A[row][k] * x[k];
+    }
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Fitted log salary of a profile and its gradient
+ * @param {number[]} theta - Current values, in feature order
+ * @param {Object} profile - Prepared record
+ * @param {Object} weights - Skill weights, categories and saturation for scoreSkills
+ * @param {Object} column - Feature key -> index
+ * @returns {{fitted: number, gradient: Object<number, number>}} Log salary and sparse gradient
+ */
+function evaluate(theta, profile, weights, column) {
+  const gradient = { [profile.region]: 1 };
+
+  // Within an unsaturated category a skill at rank r adds decay^r of its
+  // uplift; a saturated category or a capped total no longer moves
+  const score = scoreSkills(profile.skills, weights);
+  if (!score.capped) {
+    Object.values(score.categories).forEach((category) => {
+      if (category.saturated) return;
+      category.skills.forEach((skill, rank) => {
+        gradient[column[`skill:${skill}`]] =
+          Math.pow(weights.saturation.decay, rank) / score.multiplier;
+      });
+    });
+  }
+
+  const perYear = column["experience:perYear"];
+  const experience = 1 + theta[perYear] * profile.years;
+  gradient[perYear] = profile.years / experience;
+
+  const seniorBonus = column["experience:seniorBonus"];
+  let bonus = 1;
+  profile.combos.forEach((i) => {
+    bonus += theta[i];
+  });
+  if (profile.senior) bonus += theta[seniorBonus];
+  profile.combos.forEach((i) => {
+    gradient[i] = 1 / bonus;
+  });
+  if (profile.senior) gradient[seniorBonus] = 1 / bonus;
+
+  return {
+    fitted:
+      theta[profile.region] +
+      Math.log(score.multiplier) +
+      Math.log(experience) +
+      Math.log(bonus),
+    gradient,
+  };
+}
+
+/**
+ * Train a model pack from observed salaries
+ * @param {Object[]} records - Normalized dataset records (see core/dataset.js)
+ * @param {Object} options
+ * @param {string|Object} options.base - Prior model pack (built-in by default)
+ * @param {string} options.version - Version of the trained pack
+ * @param {number} options.lambda - Regularization strength for skills and combos
+ * @param {number} options.regionLambda - Regularization strength for region and experience terms
+ * @param {number} options.maxIterations - Gauss-Newton iterations at most
+ * @param {string|Object} options.exchangeRates - Rates for records in other currencies
+ * @returns {{pack: Object, report: Object}} Trained pack and fit report
+ */
+function trainModel(records, options = {}) {
+  const {
+    base,
+    version = `trained-${new Date().toISOString().slice(0, 10)}`,
+    lambda = 5,
+    regionLambda = 0.1,
+    maxIterations = 50,
+    exchangeRates,
+  } = options;
+
+  if (!records || records.length === 0) {
+    throw new Error("Training requires at least one record");
+  }
+
+  const prior = loadModelPack(base);
+  const rates = loadExchangeRates(exchangeRates);
+
+  // Fit in the prior's base currency
+  records = records.map((record) => ({
+    ...record,
+    salary: record.currency
+      ? convertCurrency(
+          record.salary,
+          record.currency,
+          prior.baseCurrency,
+          rates
+        )
+      : record.salary,
+  }));
+  const resolver = new SkillResolver(prior.skills, prior.aliases);
+  const { maxYears } = prior.experience;
+
+  // Feature layout: regions (log base salary), skill uplifts, combo bonuses,
+  // experience slope and senior bonus; min keeps every factor positive
+  const regions = Object.keys(prior.baseSalaries);
+  records.forEach((record) => {
+    if (!regions.includes(record.region)) regions.push(record.region);
+  });
+  const skills = Object.keys(prior.skills);
+  const features = [
+    ...regions.map((region) => ({
+      kind: "region",
+      key: region,
+      prior: Math.log(prior.baseSalaries[region] || prior.baseSalaries.US),
+      lambda: regionLambda,
+      min: -Infinity,
+    })),
+    ...skills.map((skill) => ({
+      kind: "skill",
+      key: skill,
+      prior: prior.skills[skill] - 1,
+      lambda,
+      min: -0.9,
+    })),
+    ...prior.combos.map((combo, i) => ({
+      kind: "combo",
+      key: i,
+      prior: combo.bonus,
+      lambda,
+      min: -0.5,
+    })),
+    {
+      kind: "experience",
+      key: "perYear",
+      prior: prior.experience.perYear,
+      lambda: regionLambda,
+      min: 0,
+    },
+    {
+      kind: "experience",
+      key: "seniorBonus",
+      prior: prior.experience.seniorBonus,
+      lambda: regionLambda,
+      min: -0.5,
+    },
+  ];
+  const n = features.length;
+  const column = {};
+  features.forEach((feature, i) => {
+    column[`${feature.kind}:${feature.key}`] = i;
+  });
+
+  // Resolve every record once
+  const unmatched = {};
+  const samples = new Array(n).fill(0);
+  const profiles = records.map((record) => {
+    const matched = [];
+    resolver.resolveAll(record.skills).forEach((entry) => {
+      if (!entry.skill) {
+        unmatched[entry.input] = (unmatched[entry.input] || 0) + 1;
+      } else if (!matched.includes(entry.skill)) {
+        matched.push(entry.skill);
+      }
+    });
+    const profile = {
+      region: column[`region:${record.region}`],
+      skills: matched,
+      combos: prior.combos
+        .map((combo, i) =>
+          combo.skills.every((s) => matched.includes(s))
+            ? column[`combo:${i}`]
+            : null
+        )
+        .filter((i) => i !== null),
+      years: Math.min(record.experienceYears, maxYears),
+      senior: record.experienceYears >= 5,
+      target: Math.log(record.salary),
+    };
+
+    samples[profile.region]++;
+    matched.forEach((skill) => samples[column[`skill:${skill}`]]++);
+    profile.combos.forEach((i) => samples[i]++);
+    if (profile.years > 0) samples[column["experience:perYear"]]++;
+    if (profile.senior) samples[column["experience:seniorBonus"]]++;
+    return profile;
+  });
+
+  const weightsFor = (theta) => ({
+    skills: Object.fromEntries(
+      skills.map((skill) => [skill, 1 + theta[column[`skill:${skill}`]]])
+    ),
+    categories: prior.categories,
+    saturation: prior.saturation,
+  });
+  const objective = (theta) => {
+    const weights = weightsFor(theta);
+    let total = 0;
+    profiles.forEach((profile) => {
+      const { fitted } = evaluate(theta, profile, weights, column);
+      total += (profile.target - fitted) ** 2;
+    });
+    features.forEach((feature, i) => {
+      total += feature.lambda * (theta[i] - feature.prior) ** 2;
+    });
+    return total;
+  };
+
+  // Gauss-Newton from the prior: (J'J + L) delta = J'r + L * (prior - theta),
+  // halving the step until it improves, as the fit is only piecewise smooth
+  let theta = features.map((feature) => feature.prior);
+  let current = objective(theta);
+  let iterations = 0;
+  while (iterations < maxIterations) {
+    iterations++;
+    const weights = weightsFor(theta);
+    const A = features.map((feature, i) => {
+      const line = new Array(n).fill(0);
+      line[i] = feature.lambda;
+      return line;
+    });
+    const b = features.map(
+      (feature, i) => feature.lambda * (feature.prior - theta[i])
+    );
+
+    profiles.forEach((profile) => {
+      const { fitted, gradient } = evaluate(theta, profile, weights, column);
+      const residual = profile.target - fitted;
+      const entries = Object.entries(gradient).map(([i, g]) => [Number(i), g]);
+      entries.forEach(([i, gi]) => {
+        b[i] += gi * residual;
+        entries.forEach(([j, gj]) => {
+          A[i][j] += gi * gj;
+        });
+      });
+    });
+
+    const delta = solve(A, b);
+    let step = 1;
+    let next = null;
+    let value = Infinity;
+    while (step > 1e-4) {
+      next = theta.map((v, i) =>
+        Math.max(v + step * delta[i], features[i].min)
+      );
+      value = objective(next);
+      if (value <= current) break;
+      step /= 2;
+    }
+    if (value > current) break;
+
+    const change = Math.max(...next.map((v, i) => Math.abs(v - theta[i])));
+    theta = next;
+    current = value;
+    if (change < 1e-7) break;
+  }
+
+  // Build the trained pack
+  const pack = {
+    ...prior,
+    version,
+    baseSalaries: {},
+    skills: {},
+    combos: [],
+    experience: { ...prior.experience },
+    currencies: { ...prior.currencies },
+  };
+  const report = {
+    version,
+    samples: records.length,
+    iterations,
+    regions: [],
+    skills: [],
+    combos: [],
+    experience: {},
+    unmatchedSkills: unmatched,
+  };
+
+  features.forEach((feature, i) => {
+    const value = theta[i];
+    if (feature.kind === "region") {
+      pack.baseSalaries[feature.key] = Math.round(Math.exp(value));
+      if (!pack.currencies[feature.key]) pack.currencies[feature.key] = "USD";
+      report.regions.push({
+        region: feature.key,
+        baseSalary: pack.baseSalaries[feature.key],
+        samples: samples[i],
+      });
+    } else if (feature.kind === "skill") {
+      pack.skills[feature.key] = round(1 + value, 3);
+      report.skills.push({
+        skill: feature.key,
+        weight: pack.skills[feature.key],
+        priorWeight: prior.skills[feature.key],
+        samples: samples[i],
+      });
+    } else if (feature.kind === "combo") {
+      const combo = prior.combos[feature.key];
+      const bonus = round(value, 3);
+      pack.combos.push({ ...combo, bonus });
+      report.combos.push({
+        combo: combo.skills.join("+"),
+        bonus,
+        priorBonus: combo.bonus,
+        samples: samples[i],
+      });
+    } else {
+      pack.experience[feature.key] = round(value, 4);
+      report.experience[feature.key] = {
+        value: pack.experience[feature.key],
+        prior: prior.experience[feature.key],
+        samples: samples[i],
+      };
+    }
+  });
+
+  report.skills.sort((a, b) => b.samples - a.samples);
+  const trained = loadModelPack(pack);
+  report.residuals = residuals(records, trained);
+
+  return { pack: trained, report };
+}
+
+/**
+ * Residual error of the predictor using the trained pack
+ */
+function residuals(records, pack) {
+  const predictor = new SalaryPredictor({
+    model: pack,
+    targetCurrency: pack.baseCurrency,
+  });
+  let squaredLog = 0;
+  let absolute = 0;
+  let relative = 0;
+  records.forEach((record) => {
+    const { estimatedSalary } = predictor
+      .setRegion(record.region)
+      .setExperience(record.experienceYears)
+      .predict(record.skills);
+    const error = estimatedSalary - record.salary;
+    squaredLog += Math.log(estimatedSalary / record.salary) ** 2;
+    absolute += Math.abs(error);
+    relative += Math.abs(error) / record.salary;
+  });
+
+  return {
+    logRmse: round(Math.sqrt(squaredLog / records.length), 4),
+    mae: Math.round(absolute / records.length),
+    mape: round((relative / records.length) * 100, 2),
+  };
+}
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { trainModel };
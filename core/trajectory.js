@@ -0,0 +1,129 @@
+// core/trajectory.js
+/**
+ * Career trajectory projection
+ * Predicts a profile for each of the next N years as experience grows (so
+ * the senior bonus and the maxYears cap apply as they would today), adding
+ * planned skills in the year they are learned and, optionally, compounding
+ * an annual market growth rate.
+ */
+
+const { InputError } = require("./errors");
+const { roundAmount } = require("./currency");
+const { skillName } = require("./proficiency");
+
+/**
+ * Project salaries over the coming years
+ * @param {SalaryPredictor} predictor - Configured predictor (region, experience, ...)
+ * @param {Array<string|Object>} skills - Current skills
+ * @param {Object} options - Projection options
+ * @param {number} options.years - Number of years to project
+ * @param {Array<string|Object>} options.plannedSkills - Skills to learn; strings
+ *   are added in year 1, objects ({ name, year, level }) in their year
+ * @param {number} options.marketGrowth - Annual market growth rate (e.g. 0.03)
+ * @param {string} options.targetCurrency - Output currency
+ * @param {string} options.period - Output pay period
+ * @param {Date} options.now - Start date (defaults to today)
+ * @returns {Object} One point per year, starting with today
+ */
+function projectTrajectory(predictor, skills, options = {}) {
+  const {
+    years = 5,
+    plannedSkills = [],
+    marketGrowth = 0,
+    targetCurrency,
+    period,
+    now = new Date(),
+  } = options;
+  if (!Number.isInteger(years) || years < 1 || years > 40) {
+    throw new InputError("years must be an integer between 1 and 40");
+  }
+  if (typeof marketGrowth !== "number" || Math.abs(marketGrowth) >= 0.5) {
+    throw new InputError("marketGrowth must be a rate between -0.5 and 0.5");
+  }
+
+  const planned = plannedSkills.map((skill) => {
+    if (typeof skill === "string") return { year: 1, skill };
+    const { year = 1, ...rest } = skill;
+    if (!Number.isInteger(year) || year < 1) {
+      throw new InputError(
+        `Planned skill ${skill.name} needs a year of 1 or more`
+      );
+    }
+    return { year, skill: rest };
+  });
+
+  const startYears = predictor.experienceYears;
+  const { maxYears } = predictor.modelWeights.experience;
+  const calendarYear = now.getUTCFullYear();
+  const points = [];
+  let output = null;
+  try {
+    for (let year = 0; year <= years; year++) {
+      const added = planned.filter((entry) => entry.year <= year);
+      predictor.setExperience(startYears + year);
+      const result = predictor.predict(
+        [...skills, ...added.map((entry) => entry.skill)],
+        { targetCurrency, period }
+      );
+
+      // Market growth compounds on top of the model's current values
+      const growth = Math.pow(1 + marketGrowth, year);
+      const grow = (value) => roundAmount(value * growth, result.period);
+      const estimatedSalary = grow(result.estimatedSalary);
+      output = output || { currency: result.currency, period: result.period };
+      const previous = points[year - 1];
+
+      points.push({
+        year,
+        calendarYear: calendarYear + year,
+        experienceYears: startYears + year,
+        experienceCapped: startYears + year >= maxYears,
+        newSkills: planned
+          .filter((entry) => entry.year === year)
+          .map((entry) => skillName(entry.skill)),
+        estimatedSalary,
+        salaryRange: {
+          min: grow(result.salaryRange.min),
+          max: grow(result.salaryRange.max),
+        },
+        change: previous
+          ? roundAmount(
+              estimatedSalary - previous.estimatedSalary,
+              result.period
+            )
+          : 0,
+        experienceMultiplier: result.breakdown.experienceMultiplier,
+        seniorBonus: result.breakdown.seniorBonus,
+        activeCombos: result.activeCombos,
+      });
+    }
+  } finally {
+    predictor.experienceYears = startYears;
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  return {
+    currency: output.currency,
+    period: output.period,
+    region: predictor.region,
+    location: predictor.location ? predictor.location.id : null,
+    marketGrowth,
+    modelVersion: predictor.modelVersion,
+    points,
+    totalChange: roundAmount(
+      last.estimatedSalary - first.estimatedSalary,
+      output.period
+    ),
+    totalChangePercent:
+      Math.round(
+        ((last.estimatedSalary - first.estimatedSalary) /
+          first.estimatedSalary) *
+          10000
+      ) / 100,
+  };
+}
+
+module.exports = {
+  projectTrajectory,
+};
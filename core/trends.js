@@ -0,0 +1,103 @@
+// core/trends.js
+/**
+ * Time-aware model values
+ * Region salary levels and skill demand carry dated indices (the model
+ * pack's `trends`). For an as-of date each index is interpolated between its
+ * years, or projected along its first or last segment, and read relative to
+ * its value at the model's base date, so the undated values stay exact there.
+ */
+
+const { InputError } = require("./errors");
+
+const DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Parse a date given as a year (2027), a month ("2023-06"), a day
+ * ("2023-06-15") or a Date
+ * @param {string|number|Date} value - Date
+ * @returns {{date: string, year: number}} ISO date and fractional year
+ */
+function parseDate(value) {
+  const date = value instanceof Date ? value : new Date(String(value));
+  if (
+    Number.isNaN(date.getTime()) ||
+    (!(value instanceof Date) && !DATE.test(String(value)))
+  ) {
+    throw new InputError(`Invalid asOf date: ${value}`);
+  }
+
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return {
+    date: date.toISOString().slice(0, 10),
+    year: year + (date.getTime() - start) / (end - start),
+  };
+}
+
+/**
+ * Value of a dated series ({ year: value }) at a fractional year
+ * @param {Object<string, number>} series - Values by year
+ * @param {number} year - Fractional year
+ * @param {number} maxProjectionYears - How far past the data a value may be projected
+ * @returns {{value: number, projected: boolean}} Value and whether it lies outside the data
+ */
+function seriesAt(series, year, maxProjectionYears) {
+  const points = Object.entries(series)
+    .map(([key, value]) => ({ year: Number(key), value }))
+    .sort((a, b) => a.year - b.year);
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (
+    year < first.year - maxProjectionYears ||
+    year > last.year + maxProjectionYears
+  ) {
+    throw new InputError(
+      `asOf is more than ${maxProjectionYears} years outside the model's dated values (${first.year}-${last.year})`
+    );
+  }
+  const projected = year < first.year || year > last.year;
+  if (points.length === 1) return { value: first.value, projected };
+
+  // The segment around the year, or the nearest one outside the data
+  let i = 1;
+  while (i < points.length - 1 && points[i].year < year) i++;
+  const a = points[i - 1];
+  const b = points[i];
+  const value =
+    a.value + ((b.value - a.value) * (year - a.year)) / (b.year - a.year);
+  return { value: Math.max(value, 0), projected };
+}
+
+/**
+ * Model values as of a date
+ * @param {Object} trends - Dated indices (model pack `trends`)
+ * @param {string|number|Date} asOf - Effective date
+ * @returns {Object} Effective date, region index and skill demand relative to
+ *   the base date, and whether any value was projected beyond the data
+ */
+function trendsAt(trends, asOf) {
+  const target = parseDate(asOf);
+  const base = parseDate(trends.baseDate);
+  let projected = false;
+  const relative = (series) => {
+    const value = seriesAt(series, target.year, trends.maxProjectionYears);
+    const reference = seriesAt(series, base.year, Infinity);
+    projected = projected || value.projected;
+    return Math.round((value.value / reference.value) * 1000) / 1000;
+  };
+  const indices = (table) =>
+    Object.fromEntries(
+      Object.entries(table).map(([key, series]) => [key, relative(series)])
+    );
+
+  const regions = indices(trends.regions);
+  const skills = indices(trends.skills);
+  return { date: target.date, baseDate: base.date, regions, skills, projected };
+}
+
+module.exports = {
+  parseDate,
+  seriesAt,
+  trendsAt,
+};
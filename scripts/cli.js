@@ -0,0 +1,22 @@
+// scripts/cli.js
+// Shared helpers for command-line scripts
+
+/**
+ * Parse "--name value" flags and positional arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} Flags by name, positional arguments in "_"
+ */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+module.exports = { parseArgs };
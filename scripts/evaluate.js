@@ -0,0 +1,62 @@
+// scripts/evaluate.js
+/**
+ * Evaluate one or more model packs against labeled salary data
+ *
+ * Usage:
+ *   node scripts/evaluate.js <dataset.csv|json> [--models <a.json,b.yaml>] [--out <report.json>]
+ *
+ * Use "builtin" in --models for the built-in model (the default).
+ */
+
+const fs = require("fs");
+const { loadDataset } = require("../core/dataset");
+const { compareModels } = require("../core/evaluation");
+const { parseArgs } = require("./cli");
+
+function formatMetrics(metrics) {
+  return [
+    `n=${metrics.count}`,
+    `MAE ${metrics.mae}`,
+    `MAPE ${metrics.mape}%`,
+    `bias ${metrics.biasPercent}%`,
+    `in range ${metrics.rangeCoverage}%`,
+  ].join("  ");
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [datasetPath] = args._;
+
+  if (!datasetPath) {
+    console.error(
+      "Usage: node scripts/evaluate.js <dataset.csv|json> [--models <a.json,b.yaml>] [--out <report.json>]"
+    );
+    process.exit(1);
+  }
+
+  const records = loadDataset(datasetPath);
+  const models = (args.models || "builtin")
+    .split(",")
+    .map((model) => (model === "builtin" ? undefined : model));
+  const report = compareModels(records, models);
+
+  report.evaluations.forEach((evaluation) => {
+    console.log(`\nModel ${evaluation.modelVersion}`);
+    console.log(`  overall  ${formatMetrics(evaluation.overall)}`);
+    Object.entries(evaluation.byRegion).forEach(([region, metrics]) => {
+      console.log(`  ${region.padEnd(8)} ${formatMetrics(metrics)}`);
+    });
+    Object.entries(evaluation.byExperience).forEach(([band, metrics]) => {
+      console.log(`  ${`${band}y`.padEnd(8)} ${formatMetrics(metrics)}`);
+    });
+  });
+
+  if (report.evaluations.length > 1) {
+    console.log(`\nBest model (lowest MAE): ${report.best}`);
+  }
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+  }
+}
+
+main();
@@ -0,0 +1,60 @@
+// scripts/train.js
+/**
+ * Train a model pack from observed salaries
+ *
+ * Usage:
+ *   node scripts/train.js <dataset.csv|json> --out <pack.json>
+ *     [--base <pack>] [--version <version>] [--lambda <n>] [--report <report.json>]
+ *
+ * CSV columns: skills (separated by ";" or "|"), region, years, salary
+ */
+
+const fs = require("fs");
+const { loadDataset } = require("../core/dataset");
+const { trainModel } = require("../core/training");
+const { parseArgs } = require("./cli");
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [datasetPath] = args._;
+
+  if (!datasetPath || !args.out) {
+    console.error(
+      "Usage: node scripts/train.js <dataset.csv|json> --out <pack.json> [--base <pack>] [--version <version>] [--lambda <n>] [--report <report.json>]"
+    );
+    process.exit(1);
+  }
+
+  const records = loadDataset(datasetPath);
+  const { pack, report } = trainModel(records, {
+    base: args.base,
+    version: args.version,
+    lambda: args.lambda !== undefined ? Number(args.lambda) : undefined,
+  });
+
+  fs.writeFileSync(args.out, JSON.stringify(pack, null, 2));
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+  }
+
+  console.log(`Trained model ${report.version} on ${report.samples} records`);
+  console.log(
+    `Residuals: MAE ${report.residuals.mae}, MAPE ${report.residuals.mape}%, log RMSE ${report.residuals.logRmse}`
+  );
+  console.log("\nSkills with the most samples:");
+  report.skills.slice(0, 15).forEach((skill) => {
+    console.log(
+      `  ${skill.skill.padEnd(16)} ${String(skill.weight).padEnd(6)} (prior ${
+        skill.priorWeight
+      }, ${skill.samples} samples)`
+    );
+  });
+
+  const unmatched = Object.keys(report.unmatchedSkills);
+  if (unmatched.length > 0) {
+    console.log(`\nIgnored unknown skills: ${unmatched.join(", ")}`);
+  }
+  console.log(`\nModel pack written to ${args.out}`);
+}
+
+main();
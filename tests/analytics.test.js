@@ -0,0 +1,50 @@
+// tests/analytics.test.js
+const analyticsService = require("../api/services/analytics.service");
+const { getExchangeRate } = require("../core/currency");
+
+describe("analyticsService", () => {
+  const ngnRate = getExchangeRate("USD", "NGN");
+  const predictions = [
+    {
+      skills: "React,Go",
+      estimatedSalary: 100000,
+      currency: "USD",
+      period: "annual",
+    },
+    {
+      skills: "React",
+      estimatedSalary: Math.round((50000 * ngnRate) / 2080),
+      currency: "NGN",
+      period: "hourly",
+    },
+    {
+      skills: "Go",
+      estimatedSalary: 150000 / 260,
+      currency: "USD",
+      period: "daily",
+    },
+  ];
+
+  test("compares saved salaries as annual amounts in one currency", () => {
+    const { currency, period, statistics } =
+      analyticsService.calculateTrends(predictions);
+
+    expect(currency).toBe("USD");
+    expect(period).toBe("annual");
+    expect(statistics.min).toBeCloseTo(50000, -2);
+    expect(statistics.median).toBe(100000);
+    expect(statistics.max).toBe(150000);
+    expect(statistics.average).toBeCloseTo(100000, -2);
+  });
+
+  test("averages skills over annual amounts", () => {
+    const [react, go] = analyticsService.getTopSkills(predictions);
+
+    expect(react).toEqual({
+      skill: "react",
+      count: 2,
+      averageSalary: expect.closeTo(75000, -2),
+    });
+    expect(go).toEqual({ skill: "go", count: 2, averageSalary: 125000 });
+  });
+});
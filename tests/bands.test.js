@@ -0,0 +1,66 @@
+// tests/bands.test.js
+const { generateBands, bandsToCsv } = require("../core/bands");
+const { SalaryPredictor } = require("../core/predictor");
+const { loadModelPack, getDefaultModelPack } = require("../core/modelPack");
+
+describe("generateBands", () => {
+  const predictor = new SalaryPredictor({ region: "EU", role: "backend" });
+  const result = generateBands(predictor, ["Go", "PostgreSQL", "Docker"]);
+
+  test("prices one band per ladder level", () => {
+    expect(result.currency).toBe("EUR");
+    expect(result.role).toBe("backend");
+    expect(result.bands.map((band) => band.band)).toEqual([
+      "L1",
+      "L2",
+      "L3",
+      "L4",
+      "L5",
+      "L6",
+    ]);
+
+    const senior = new SalaryPredictor({
+      region: "EU",
+      role: "backend",
+      level: "senior",
+      experienceYears: 6,
+    }).predict(["Go", "PostgreSQL", "Docker"]);
+    const l3 = result.bands[2];
+    expect(l3.mid).toBe(senior.estimatedSalary);
+    expect(l3.min).toBe(senior.salaryRange.min);
+    expect(l3.max).toBe(senior.salaryRange.max);
+    result.bands.slice(1).forEach((band, i) => {
+      expect(band.mid).toBeGreaterThan(result.bands[i].mid);
+    });
+    expect(predictor.level).toBeNull();
+    expect(predictor.experienceYears).toBe(0);
+  });
+
+  test("reports the overlap between adjacent bands", () => {
+    const [l1, l2] = result.bands;
+
+    expect(l1.overlapWithNext).toBe(Math.max(l1.max - l2.min, 0));
+    expect(l1.overlapPercent).toBeCloseTo(
+      ((l1.max - l2.min) / (l1.max - l1.min)) * 100,
+      0
+    );
+    expect(l1.progressionPercent).toBeCloseTo((l2.mid / l1.mid - 1) * 100, 0);
+    expect(result.bands[5].overlapWithNext).toBeNull();
+  });
+
+  test("exports bands as CSV", () => {
+    const lines = bandsToCsv(result).trim().split("\n");
+
+    expect(lines).toHaveLength(7);
+    expect(lines[0]).toMatch(/^band,name,level,experienceYears,currency/);
+    expect(lines[1]).toMatch(/^L1,Engineer I,junior,1,EUR,annual,/);
+    expect(lines[6]).toMatch(/,,,$/);
+  });
+
+  test("rejects bands that reference unknown levels", () => {
+    const pack = getDefaultModelPack();
+    pack.bands = { L1: { name: "Lead", level: "lead", experienceYears: 8 } };
+
+    expect(() => loadModelPack(pack)).toThrow(/unknown level "lead"/);
+  });
+});
@@ -0,0 +1,61 @@
+// tests/comparison.test.js
+const { compareProfiles } = require("../core/comparison");
+
+describe("compareProfiles", () => {
+  test("diffs skills, combos and multipliers", () => {
+    const comparison = compareProfiles([
+      { skills: ["React", "TypeScript", "Next.js"], experienceYears: 5 },
+      { label: "Ben", skills: ["React", "Go"], experienceYears: 2 },
+    ]);
+    const { diff } = comparison;
+
+    expect(diff.skills.common).toEqual(["react"]);
+    expect(diff.skills.unique.A).toEqual(["typescript", "nextjs"]);
+    expect(diff.skills.unique.Ben).toEqual(["go"]);
+    expect(diff.combos.unique.A).toContain("react+nextjs+typescript");
+    expect(diff.multipliers.seniorBonus.values).toEqual({ A: 0.2, Ben: 0 });
+    expect(diff.salary.highest).toBe("A");
+  });
+
+  test("lists the profiles holding each skill", () => {
+    const { diff } = compareProfiles([
+      { skills: ["Go", "Rust"] },
+      { skills: ["Go"] },
+      { skills: ["Rust"] },
+    ]);
+
+    expect(diff.skills.common).toEqual([]);
+    expect(diff.skills.unique).toEqual({ A: [], B: [], C: [] });
+    expect(diff.skills.presence).toEqual({
+      go: ["A", "B"],
+      rust: ["A", "C"],
+    });
+  });
+
+  test("reports deltas in a common currency", () => {
+    const comparison = compareProfiles(
+      [
+        { skills: ["Go"], region: "US" },
+        { skills: ["Go"], location: "DE-BER" },
+      ],
+      { currency: "EUR" }
+    );
+    const [us, berlin] = comparison.profiles;
+
+    expect(us.prediction.currency).toBe("EUR");
+    expect(berlin.prediction.currency).toBe("EUR");
+    expect(comparison.diff.salary.profiles[1].delta).toBe(
+      berlin.prediction.estimatedSalary - us.prediction.estimatedSalary
+    );
+  });
+
+  test("rejects too few profiles and duplicate labels", () => {
+    expect(() => compareProfiles([{ skills: ["Go"] }])).toThrow(/between/);
+    expect(() =>
+      compareProfiles([
+        { label: "X", skills: ["Go"] },
+        { label: "X", skills: ["Rust"] },
+      ])
+    ).toThrow(/unique/);
+  });
+});
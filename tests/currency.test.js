@@ -0,0 +1,42 @@
+// tests/currency.test.js
+const {
+  loadExchangeRates,
+  getExchangeRate,
+  convertCurrency,
+  periodsPerYear,
+  roundAmount,
+} = require("../core/currency");
+
+describe("currency", () => {
+  const table = {
+    base: "USD",
+    date: "2026-01-01",
+    rates: { USD: 1, EUR: 0.5, GBP: 0.25 },
+  };
+
+  test("converts through the table base", () => {
+    expect(convertCurrency(100, "USD", "EUR", table)).toBe(50);
+    expect(getExchangeRate("EUR", "GBP", table)).toBe(0.5);
+  });
+
+  test("rejects unknown currencies", () => {
+    expect(() => getExchangeRate("USD", "XYZ", table)).toThrow(
+      "Unsupported currency: XYZ"
+    );
+  });
+
+  test("validates custom rate tables", () => {
+    expect(loadExchangeRates(table)).toBe(table);
+    expect(() =>
+      loadExchangeRates({ ...table, rates: { USD: 2, EUR: 0.5 } })
+    ).toThrow(/base currency USD must be 1/);
+  });
+
+  test("converts pay periods", () => {
+    expect(periodsPerYear("monthly")).toBe(12);
+    expect(periodsPerYear("hourly")).toBe(2080);
+    expect(() => periodsPerYear("weekly")).toThrow(/Unsupported period/);
+    expect(roundAmount(48.0769, "hourly")).toBe(48.08);
+    expect(roundAmount(8333.33, "monthly")).toBe(8333);
+  });
+});
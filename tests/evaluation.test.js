@@ -0,0 +1,68 @@
+// tests/evaluation.test.js
+const {
+  evaluateModel,
+  compareModels,
+  experienceBand,
+} = require("../core/evaluation");
+const { SalaryPredictor } = require("../core/predictor");
+
+function labeledRecords(scale = 1) {
+  const profiles = [
+    { skills: ["React", "TypeScript"], region: "US", experienceYears: 2 },
+    { skills: ["Go", "Kubernetes"], region: "US", experienceYears: 8 },
+    { skills: ["Python", "Django"], region: "EU", experienceYears: 4 },
+  ];
+
+  return profiles.map((profile) => {
+    const predictor = new SalaryPredictor(profile);
+    const { estimatedSalary, currency } = predictor.predict(profile.skills);
+    return {
+      ...profile,
+      salary: Math.round(estimatedSalary * scale),
+      currency,
+    };
+  });
+}
+
+describe("evaluateModel", () => {
+  test("reports zero error when labels match predictions", () => {
+    const report = evaluateModel(labeledRecords());
+
+    expect(report.overall.count).toBe(3);
+    expect(report.overall.mae).toBe(0);
+    expect(report.overall.rangeCoverage).toBe(100);
+    expect(Object.keys(report.byRegion)).toEqual(["US", "EU"]);
+    expect(Object.keys(report.byExperience)).toEqual(["0-2", "3-5", "6-10"]);
+  });
+
+  test("reports bias when the model overpredicts", () => {
+    const report = evaluateModel(labeledRecords(0.5));
+
+    expect(report.overall.biasPercent).toBeCloseTo(100, 0);
+    expect(report.overall.mape).toBeCloseTo(100, 0);
+    expect(report.overall.rangeCoverage).toBe(0);
+  });
+
+  test("groups experience into bands", () => {
+    expect(experienceBand(0)).toBe("0-2");
+    expect(experienceBand(5.5)).toBe("3-5");
+    expect(experienceBand(20)).toBe("11+");
+  });
+});
+
+describe("compareModels", () => {
+  test("ranks models by MAE", () => {
+    const inflated = {
+      version: "inflated",
+      baseSalaries: { US: 150000, EU: 110000 },
+      skills: require("../core/data").skills,
+      combos: [],
+      experience: { perYear: 0.05, maxYears: 15, seniorBonus: 0.2 },
+      currencies: { US: "USD", EU: "EUR" },
+    };
+    const report = compareModels(labeledRecords(), [inflated, undefined]);
+
+    expect(report.best).toBe("2025.1");
+    expect(report.evaluations[1].modelVersion).toBe("inflated");
+  });
+});
@@ -0,0 +1,118 @@
+// tests/extraction.test.js
+const { extractProfile } = require("../core/extraction");
+const { SalaryPredictor } = require("../core/predictor");
+const data = require("../core/data");
+
+const now = new Date("2026-10-01");
+
+const cv = `# Jane Doe
+
+## Senior Engineer, Acme (Mar 2021 – Present)
+Built services in Go and Node.js on k8s. Led our go to market for the EU.
+
+## Engineer, Beta Corp (2017 - 2021)
+React, TypeScript and some C++. We had to react quickly to outages.`;
+
+describe("extractProfile", () => {
+  test("finds skills by name and alias with their spans", () => {
+    const profile = extractProfile(cv, data, { now });
+    const names = profile.skills.map((skill) => skill.name);
+
+    expect(names).toEqual([
+      "go",
+      "nodejs",
+      "kubernetes",
+      "react",
+      "typescript",
+      "cpp",
+    ]);
+    const k8s = profile.mentions.find((m) => m.text === "k8s");
+    expect(k8s.skill).toBe("kubernetes");
+    expect(k8s.method).toBe("alias");
+    expect(cv.slice(k8s.start, k8s.end)).toBe("k8s");
+  });
+
+  test("ignores everyday uses of ambiguous terms", () => {
+    const profile = extractProfile(cv, data, { now });
+
+    expect(profile.ignored.map((span) => span.text)).toEqual(["go", "react"]);
+    expect(profile.mentions.filter((m) => m.skill === "go")).toHaveLength(1);
+  });
+
+  test("estimates experience from date ranges", () => {
+    const profile = extractProfile(cv, data, { now });
+    const go = profile.skills.find((skill) => skill.name === "go");
+    const react = profile.skills.find((skill) => skill.name === "react");
+
+    expect(profile.experienceSource).toBe("dateRanges");
+    expect(profile.experienceYears).toBeCloseTo(9.6, 1);
+    expect(go.lastUsed).toBe(2026);
+    expect(react.years).toBe(4);
+    expect(react.lastUsed).toBe(2021);
+  });
+
+  test("leaves education out of experience", () => {
+    const profile = extractProfile(
+      `Senior Engineer, Acme, Mar 2015 - Present
+Java, Go
+BSc Computer Science 2010 - 2014
+
+## Education
+University of Leeds (2008 - 2010), Machine Learning`,
+      data,
+      { now }
+    );
+    const ml = profile.skills.find((skill) => skill.name === "machinelearning");
+
+    expect(profile.experienceYears).toBeCloseTo(11.6, 1);
+    expect(profile.dateRanges.map((range) => range.text)).toEqual([
+      "Mar 2015 - Present",
+    ]);
+    expect(profile.educationRanges).toHaveLength(2);
+    expect(ml.years).toBeUndefined();
+  });
+
+  test("credits skills with the date range next to them", () => {
+    const profile = extractProfile(
+      `Acme, Senior Engineer, 2019 - Present
+Go, Kubernetes
+Beta, Engineer, 2015 - 2019
+Java`,
+      data,
+      { now }
+    );
+    const go = profile.skills.find((skill) => skill.name === "go");
+    const java = profile.skills.find((skill) => skill.name === "java");
+
+    expect(go.lastUsed).toBe(2026);
+    expect(go.years).toBeCloseTo(7.8, 1);
+    expect(java).toEqual({ name: "java", years: 4, lastUsed: 2019 });
+  });
+
+  test("ignores words that are object prototype keys", () => {
+    const profile = extractProfile("Wrote a constructor in React.", data);
+
+    expect(profile.skills).toEqual([{ name: "react" }]);
+  });
+
+  test("falls back to stated experience", () => {
+    const profile = extractProfile(
+      "We need 5+ years of professional experience with Python and AWS.",
+      data
+    );
+
+    expect(profile.experienceYears).toBe(5);
+    expect(profile.experienceSource).toBe("statement");
+    expect(profile.skills).toEqual([{ name: "python" }, { name: "aws" }]);
+  });
+
+  test("feeds straight into predict", () => {
+    const predictor = new SalaryPredictor();
+    const profile = predictor.extract(cv, { now });
+    const result = predictor.predict(profile.skills);
+
+    expect(result.skills.unmatched).toEqual([]);
+    expect(result.skills.matched).toHaveLength(profile.skills.length);
+    expect(() => predictor.extract("  ")).toThrow(/non-empty/);
+  });
+});
@@ -0,0 +1,47 @@
+// tests/locations.test.js
+const { resolveLocation, locationTree } = require("../core/locations");
+const data = require("../core/data");
+
+describe("resolveLocation", () => {
+  test("resolves metros with their full path", () => {
+    const location = resolveLocation(data.locations, "us-sf");
+
+    expect(location.id).toBe("US-SF");
+    expect(location.region).toBe("US");
+    expect(location.path.map((node) => node.level)).toEqual([
+      "region",
+      "country",
+      "metro",
+    ]);
+    expect(location.multiplierSource).toBe("US-SF");
+  });
+
+  test("falls back to the country multiplier", () => {
+    const location = resolveLocation(data.locations, "DE-HAM");
+
+    expect(location.multiplier).toBe(data.locations.EU.countries.DE.multiplier);
+    expect(location.multiplierSource).toBe("DE");
+  });
+
+  test("inherits the country currency", () => {
+    expect(resolveLocation(data.locations, "PL-WAW").currency).toBe("PLN");
+    expect(resolveLocation(data.locations, "DE").currency).toBeNull();
+  });
+
+  test("rejects unknown locations", () => {
+    expect(() => resolveLocation(data.locations, "XX-YY")).toThrow(
+      "Unknown location: XX-YY"
+    );
+  });
+});
+
+describe("locationTree", () => {
+  test("lists regions, countries and metros", () => {
+    const tree = locationTree(data.locations, data.currencies);
+    const eu = tree.find((region) => region.id === "EU");
+    const germany = eu.children.find((country) => country.id === "DE");
+
+    expect(eu.currency).toBe("EUR");
+    expect(germany.children.map((metro) => metro.id)).toContain("DE-BER");
+  });
+});
@@ -0,0 +1,100 @@
+// tests/modelPack.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ModelPackError,
+  loadModelPack,
+  getDefaultModelPack,
+} = require("../core/modelPack");
+const { SalaryPredictor } = require("../core/predictor");
+
+function customPack(overrides = {}) {
+  return {
+    version: "test-1",
+    baseSalaries: { US: 100000, EU: 80000 },
+    skills: { react: 1.2, typescript: 1.1, rust: 1.4 },
+    combos: [{ skills: ["react", "typescript"], bonus: 0.1 }],
+    experience: { perYear: 0.04, maxYears: 10, seniorBonus: 0.1 },
+    currencies: { US: "USD", EU: "EUR" },
+    ...overrides,
+  };
+}
+
+describe("loadModelPack", () => {
+  test("returns the built-in pack by default", () => {
+    const pack = loadModelPack();
+
+    expect(pack.version).toBe(getDefaultModelPack().version);
+    expect(pack.skills.javascript).toBeDefined();
+  });
+
+  test("fills optional sections from built-in data", () => {
+    const pack = loadModelPack(customPack());
+
+    expect(pack.aliases.reactjs).toBe("react");
+    expect(pack.aliases.k8s).toBeUndefined();
+    expect(pack.categories.frontend.skills).toEqual(["react"]);
+  });
+
+  test("rejects combos referencing unknown skills", () => {
+    const pack = customPack({
+      combos: [{ skills: ["react", "svelte"], bonus: 0.1 }],
+    });
+
+    expect(() => loadModelPack(pack)).toThrow(ModelPackError);
+    expect(() => loadModelPack(pack)).toThrow(/unknown skill "svelte"/);
+  });
+
+  test("rejects regions without a currency", () => {
+    const pack = customPack({ currencies: { US: "USD" } });
+
+    try {
+      loadModelPack(pack);
+      throw new Error("expected loadModelPack to throw");
+    } catch (error) {
+      expect(error).toBeInstanceOf(ModelPackError);
+      expect(error.issues).toEqual(['region "EU" has no currency']);
+    }
+  });
+
+  test("loads JSON and YAML files", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "model-pack-"));
+    const jsonPath = path.join(dir, "pack.json");
+    const yamlPath = path.join(dir, "pack.yaml");
+    fs.writeFileSync(jsonPath, JSON.stringify(customPack()));
+    fs.writeFileSync(
+      yamlPath,
+      [
+        "version: yaml-1",
+        "baseSalaries: { US: 90000 }",
+        "skills: { go: 1.3, grpc: 1.2 }",
+        "combos:",
+        "  - skills: [go, grpc]",
+        "    bonus: 0.1",
+        "experience: { perYear: 0.05, maxYears: 15, seniorBonus: 0.2 }",
+        "currencies: { US: USD }",
+      ].join("\n")
+    );
+
+    expect(loadModelPack(jsonPath).version).toBe("test-1");
+    expect(loadModelPack(yamlPath).version).toBe("yaml-1");
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe("SalaryPredictor with a model pack", () => {
+  test("uses the pack weights and stamps its version", () => {
+    const predictor = new SalaryPredictor({ model: customPack() });
+    const result = predictor.predict(["React", "TypeScript"]);
+
+    expect(result.modelVersion).toBe("test-1");
+    expect(result.breakdown.baseSalary).toBe(100000);
+    expect(result.activeCombos).toEqual(["react+typescript"]);
+    expect(predictor.getSupportedSkills()).toEqual([
+      "react",
+      "rust",
+      "typescript",
+    ]);
+  });
+});
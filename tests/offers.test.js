@@ -0,0 +1,44 @@
+// tests/offers.test.js
+const { evaluateOffer, normalCdf } = require("../core/offers");
+const { SalaryPredictor } = require("../core/predictor");
+
+describe("evaluateOffer", () => {
+  const predictor = new SalaryPredictor({ experienceYears: 4 });
+  const prediction = predictor.predict(["React", "Go"]);
+
+  test("places offers at the matching percentile", () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(
+      evaluateOffer(prediction, prediction.estimatedSalary).percentile
+    ).toBe(50);
+    expect(
+      evaluateOffer(prediction, prediction.percentiles.p90).percentile
+    ).toBeCloseTo(90, 0);
+  });
+
+  test("labels offers low, fair or strong", () => {
+    const { p10, p50, p90 } = prediction.percentiles;
+
+    expect(evaluateOffer(prediction, p10).verdict).toBe("low");
+    expect(evaluateOffer(prediction, p50).verdict).toBe("fair");
+    expect(evaluateOffer(prediction, p90).verdict).toBe("strong");
+    expect(evaluateOffer(prediction, p90).differencePercent).toBeGreaterThan(0);
+    expect(() => evaluateOffer(prediction, 0)).toThrow(/positive/);
+  });
+
+  test("evaluates offers in their own currency and period", () => {
+    const result = predictor.evaluateOffer(["React", "Go"], {
+      amount: 9000,
+      currency: "EUR",
+      period: "monthly",
+    });
+
+    expect(result.offer).toEqual({
+      amount: 9000,
+      currency: "EUR",
+      period: "monthly",
+    });
+    expect(result.prediction.currency).toBe("EUR");
+    expect(result.difference).toBe(9000 - result.market.estimatedSalary);
+  });
+});
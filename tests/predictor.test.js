@@ -27,6 +27,67 @@ describe("SalaryPredictor", () => {
     expect(result.estimatedSalary).toBeGreaterThan(0);
   });
 
+  test("resolves aliases and deduplicates skills", () => {
+    const result = predictor.predict(["k8s", "Kubernetes", "Postgres", "C++"]);
+
+    expect(result.skills.matched).toEqual(["kubernetes", "postgresql", "cpp"]);
+    expect(result.skills.resolved[0]).toEqual({
+      input: "k8s",
+      skill: "kubernetes",
+      method: "alias",
+    });
+  });
+
+  test("does not count duplicates and aliases as unmatched", () => {
+    const single = predictor.predict(["React"]);
+    const unknown = predictor.predict(["React", "Blorp"]);
+
+    [
+      ["React", "ReactJS"],
+      ["React", "react"],
+    ].forEach((skills) => {
+      const result = predictor.predict(skills);
+      expect(result.confidence).toBe(single.confidence);
+      expect(result.breakdown.uncertainty.unmatchedSkills).toBe(0);
+      expect(result.salaryRange).toEqual(single.salaryRange);
+    });
+    expect(unknown.confidence).toBeLessThan(single.confidence);
+    expect(unknown.breakdown.uncertainty.unmatchedSkills).toBeGreaterThan(0);
+  });
+
+  test("suggests alternatives for unmatched skills", () => {
+    const result = predictor.predict(["jav"]);
+
+    expect(result.skills.unmatched).toEqual(["jav"]);
+    expect(result.skills.suggestions.jav).toContain("java");
+  });
+
+  test("applies diminishing returns within a category", () => {
+    const databases = predictor.predict([
+      "PostgreSQL",
+      "Redis",
+      "Elasticsearch",
+      "Cassandra",
+      "DynamoDB",
+    ]);
+    const specialist = predictor.predict(["Python", "Machine Learning"]);
+    const { databases: totals } = databases.breakdown.skillCategories;
+
+    expect(totals.saturated).toBe(true);
+    expect(totals.contribution).toBe(totals.cap);
+    expect(totals.raw).toBeGreaterThan(totals.contribution);
+    expect(specialist.estimatedSalary).toBeGreaterThan(
+      databases.estimatedSalary
+    );
+  });
+
+  test("caps the overall skill multiplier", () => {
+    const result = predictor.predict(predictor.getSupportedSkills());
+
+    expect(result.breakdown.skillMultiplierCapped).toBe(true);
+    expect(result.breakdown.skillMultiplier).toBe(2.5);
+  });
+
   test("applies combo bonuses correctly", () => {
     const withCombo = predictor.predict(["React", "TypeScript", "Node.js"]);
     const withoutCombo = predictor.predict(["React"]);
@@ -61,6 +122,573 @@ describe("SalaryPredictor", () => {
     expect(usResult.estimatedSalary).not.toBe(euResult.estimatedSalary);
   });
 
+  test("returns percentiles with the range derived from them", () => {
+    const result = predictor.predict(["React", "TypeScript"]);
+    const { p10, p25, p50, p75, p90 } = result.percentiles;
+
+    expect(p50).toBe(result.estimatedSalary);
+    expect(p10).toBeLessThan(p25);
+    expect(p25).toBeLessThan(p50);
+    expect(p75).toBeLessThan(p90);
+    expect(result.salaryRange).toEqual({ min: p10, max: p90 });
+  });
+
+  test("widens the distribution for unmatched skills and sparse regions", () => {
+    const matched = predictor.predict(["React", "TypeScript"]);
+    const unmatched = predictor.predict(["React", "UnknownSkill"]);
+    const sparse = new SalaryPredictor({ region: "NG", experienceYears: 5 });
+    const ng = sparse.predict(["React", "TypeScript"]);
+    const spread = (r) => r.percentiles.p90 / r.percentiles.p10;
+
+    expect(spread(unmatched)).toBeGreaterThan(spread(matched));
+    expect(spread(ng)).toBeGreaterThan(spread(matched));
+    expect(ng.breakdown.uncertainty.region).toBeGreaterThan(0);
+  });
+
+  test("reports salaries in the region's currency by default", () => {
+    const inPredictor = new SalaryPredictor({
+      region: "IN",
+      experienceYears: 5,
+    });
+    const local = inPredictor.predict(["Python"]);
+    const usd = inPredictor.predict(["Python"], { targetCurrency: "USD" });
+
+    expect(local.currency).toBe("INR");
+    expect(local.exchangeRate.from).toBe("USD");
+    expect(local.exchangeRate.to).toBe("INR");
+    // Both figures are rounded, so allow one USD of difference
+    expect(
+      Math.abs(
+        local.estimatedSalary - usd.estimatedSalary * local.exchangeRate.rate
+      )
+    ).toBeLessThan(local.exchangeRate.rate);
+  });
+
+  test("converts to the requested pay period", () => {
+    const annual = predictor.predict(["Python"]);
+    const monthly = predictor.predict(["Python"], { period: "monthly" });
+    const hourly = predictor.predict(["Python"], { period: "hourly" });
+
+    expect(monthly.period).toBe("monthly");
+    expect(monthly.estimatedSalary).toBe(
+      Math.round(annual.estimatedSalary / 12)
+    );
+    expect(hourly.estimatedSalary).toBeCloseTo(
+      annual.estimatedSalary / 2080,
+      1
+    );
+  });
+
+  test("adjusts for location within a region", () => {
+    const sf = new SalaryPredictor({ location: "US-SF", experienceYears: 5 });
+    const ohio = new SalaryPredictor({
+      location: "US-CMH",
+      experienceYears: 5,
+    });
+    const sfResult = sf.predict(["React"]);
+
+    expect(sfResult.region).toBe("US");
+    expect(sfResult.location.name).toBe("San Francisco Bay Area");
+    expect(sfResult.estimatedSalary).toBeGreaterThan(
+      ohio.predict(["React"]).estimatedSalary
+    );
+  });
+
+  test("rejects a location outside the given region", () => {
+    expect(
+      () => new SalaryPredictor({ region: "US", location: "DE-BER" })
+    ).toThrow(/not in region US/);
+  });
+
+  test("predicts across all regions with PPP amounts", () => {
+    const sweep = predictor.predictAcrossRegions(["React", "TypeScript"]);
+
+    expect(sweep.regions).toHaveLength(predictor.getSupportedRegions().length);
+    expect(sweep.regions.map((r) => r.rank)).toEqual(
+      sweep.regions.map((_, i) => i + 1)
+    );
+    sweep.regions.slice(1).forEach((entry, i) => {
+      expect(entry.ppp.amount).toBeLessThanOrEqual(sweep.regions[i].ppp.amount);
+    });
+
+    const us = sweep.regions.find((r) => r.region === "US");
+    expect(us.converted.amount).toBe(us.nominal.amount);
+    expect(predictor.region).toBe("US");
+  });
+
+  test("applies role and level adjustments", () => {
+    const plain = new SalaryPredictor({ experienceYears: 3 });
+    const ml = new SalaryPredictor({ experienceYears: 3, role: "ML Engineer" });
+    const result = ml.predict(["Python"]);
+
+    expect(result.role).toBe("mlengineer");
+    expect(result.breakdown.roleMultiplier).toBeGreaterThan(1);
+    expect(result.estimatedSalary).toBeGreaterThan(
+      plain.predict(["Python"]).estimatedSalary
+    );
+  });
+
+  test("prices experience within the level's range", () => {
+    const senior = new SalaryPredictor({ experienceYears: 2, level: "senior" });
+    const result = senior.predict(["Python"]);
+
+    expect(result.breakdown.effectiveExperienceYears).toBe(5);
+    expect(result.breakdown.seniorBonus).toBe(0);
+    expect(result.breakdown.levelMultiplier).toBeGreaterThan(1);
+  });
+
+  test("rejects unknown roles", () => {
+    expect(() => new SalaryPredictor({ role: "chef" })).toThrow(/Unknown role/);
+  });
+
+  test("scales skill contributions by proficiency", () => {
+    const predictor = new SalaryPredictor({ experienceYears: 3 });
+    const plain = predictor.predict(["React", "Go"]);
+    const novice = predictor.predict([
+      { name: "React", level: "beginner", years: 0.5 },
+      "Go",
+    ]);
+    const expert = predictor.predict([
+      { name: "React", level: "expert", years: 8 },
+      "Go",
+    ]);
+
+    expect(novice.estimatedSalary).toBeLessThan(plain.estimatedSalary);
+    expect(expert.estimatedSalary).toBeGreaterThan(plain.estimatedSalary);
+    expect(expert.skills.matched).toEqual(["react", "go"]);
+    expect(expert.skills.proficiency.react.factor).toBeGreaterThan(1);
+    expect(expert.skills.proficiency.go).toBeUndefined();
+  });
+
+  test("keeps the strongest entry of a skill listed twice", () => {
+    const predictor = new SalaryPredictor();
+    const plain = predictor.predict(["React"]);
+
+    [
+      ["React", { name: "React", level: "beginner" }],
+      [{ name: "ReactJS", level: "beginner" }, "React"],
+    ].forEach((skills) => {
+      const result = predictor.predict(skills);
+      expect(result.estimatedSalary).toBe(plain.estimatedSalary);
+      expect(result.skills.proficiency.react).toBeUndefined();
+    });
+    expect(
+      predictor.predict(["React", { name: "React", level: "expert" }]).skills
+        .proficiency.react.factor
+    ).toBeGreaterThan(1);
+  });
+
+  test("discounts skills not used recently", () => {
+    const predictor = new SalaryPredictor({ experienceYears: 3 });
+    const current = predictor.predict([{ name: "Rust", lastUsed: 2100 }]);
+    const stale = predictor.predict([{ name: "Rust", lastUsed: "2005-01" }]);
+
+    expect(stale.skills.proficiency.rust.recency).toBeLessThan(1);
+    expect(stale.estimatedSalary).toBeLessThan(current.estimatedSalary);
+    expect(() => predictor.predict([{ name: "Rust", level: "guru" }])).toThrow(
+      /proficiency level/
+    );
+  });
+
+  test("explains the estimate as contributions that add up", () => {
+    const predictor = new SalaryPredictor({
+      experienceYears: 6,
+      targetCurrency: "EUR",
+    });
+    const result = predictor.predict(
+      ["React", "TypeScript", "Next.js", "AWS"],
+      { explain: true }
+    );
+    const { explanation } = result;
+    const sum =
+      explanation.baseSalary +
+      explanation.skills.reduce((acc, s) => acc + s.amount, 0) +
+      explanation.combos.reduce((acc, c) => acc + c.amount, 0) +
+      explanation.experience +
+      explanation.seniorBonus +
+      explanation.role +
+      explanation.level;
+
+    expect(sum).toBe(result.estimatedSalary);
+    expect(explanation.skills.map((s) => s.skill).sort()).toEqual(
+      [...result.skills.matched].sort()
+    );
+    expect(explanation.combos[0].combo).toBe("react+nextjs+typescript");
+    expect(explanation.seniorBonus).toBeGreaterThan(0);
+    expect(predictor.predict(["React"]).explanation).toBeUndefined();
+  });
+
+  test("recommends combo-completing skills first", () => {
+    const predictor = new SalaryPredictor({ experienceYears: 3 });
+    const result = predictor.recommend(["React", "TypeScript"], {
+      limit: 5,
+      budget: 2,
+    });
+
+    expect(result.recommendations).toHaveLength(5);
+    expect(result.recommendations[0].skill).toBe("nextjs");
+    expect(result.recommendations[0].completesCombos).toContain(
+      "react+nextjs+typescript"
+    );
+    expect(result.recommendations.map((r) => r.skill)).not.toContain("react");
+    expect(result.plan.skills).toHaveLength(2);
+    expect(result.plan.estimatedSalary).toBe(
+      result.currentSalary + result.plan.uplift
+    );
+    expect(() => predictor.recommend(["React"], { limit: 0 })).toThrow(/limit/);
+  });
+
+  test("prices recommendations on the resolved profile", () => {
+    const predictor = new SalaryPredictor({ experienceYears: 3 });
+    const skills = [
+      "ReactJS",
+      { name: "Typscript", level: "expert" },
+      "UnknownSkill",
+    ];
+
+    expect(predictor.canonicalSkills(skills)).toEqual([
+      "react",
+      { name: "typescript", level: "expert" },
+    ]);
+    const result = predictor.recommend(skills, { limit: 1, budget: 1 });
+    const [top] = result.recommendations;
+    expect(result.skills.unmatched).toEqual(["UnknownSkill"]);
+    expect(top.estimatedSalary).toBe(
+      predictor.predict([...skills, top.skill]).estimatedSalary
+    );
+  });
+
+  test("finds skill paths to a target salary", () => {
+    const predictor = new SalaryPredictor({ experienceYears: 3 });
+    const gap = predictor.analyzeGap(["React", "TypeScript"], {
+      targetSalary: 180000,
+    });
+
+    expect(gap.reachable).toBe(true);
+    expect(gap.paths.length).toBeGreaterThan(1);
+    gap.paths.forEach((path) => {
+      expect(path.estimatedSalary).toBeGreaterThanOrEqual(180000);
+      const check = new SalaryPredictor({
+        experienceYears: 3 + path.extraYears,
+      }).predict(["React", "TypeScript", ...path.skills]);
+      expect(check.estimatedSalary).toBe(path.estimatedSalary);
+    });
+    expect(predictor.experienceYears).toBe(3);
+  });
+
+  test("reports unreachable targets and role gaps", () => {
+    const predictor = new SalaryPredictor({ region: "NG" });
+    const gap = predictor.analyzeGap(["React"], {
+      targetSalary: 250000,
+      targetCurrency: "USD",
+    });
+
+    expect(gap.reachable).toBe(false);
+    expect(gap.paths).toEqual([]);
+    expect(gap.closest.estimatedSalary).toBeLessThan(250000);
+
+    const role = new SalaryPredictor().analyzeGap(["Python"], {
+      targetRole: "ML Engineer",
+    });
+    expect(role.targetRole).toBe("mlengineer");
+    expect(role.requiredSkills).not.toContain("python");
+    expect(role.requiredSkills).toContain("pytorch");
+    expect(() => predictor.analyzeGap(["React"])).toThrow(/target/);
+  });
+
+  test("prices the current salary in the profile's own role", () => {
+    const predictor = new SalaryPredictor({
+      experienceYears: 2,
+      role: "backend",
+    });
+    const own = predictor.predict(["React", "Python"]);
+    const gap = predictor.analyzeGap(["React", "Python", "UnknownSkill"], {
+      targetRole: "ML Engineer",
+      paths: 1,
+    });
+
+    expect(own.breakdown.roleMultiplier).not.toBe(1);
+    expect(gap.currentSalary).toBe(own.estimatedSalary);
+    expect(gap.targetRole).toBe("mlengineer");
+    expect(gap.paths.length).toBeLessThanOrEqual(1);
+    expect(predictor.role).toBe("backend");
+  });
+
+  test("projects salaries as experience and planned skills grow", () => {
+    const predictor = new SalaryPredictor({ experienceYears: 3 });
+    const trajectory = predictor.projectTrajectory(["Python"], {
+      years: 13,
+      plannedSkills: ["Docker", { name: "Kubernetes", year: 2 }],
+    });
+    const { points } = trajectory;
+
+    expect(points).toHaveLength(14);
+    expect(points[0].estimatedSalary).toBe(
+      predictor.predict(["Python"]).estimatedSalary
+    );
+    expect(points[1].newSkills).toEqual(["Docker"]);
+    expect(points[2].newSkills).toEqual(["Kubernetes"]);
+    expect(points[2].estimatedSalary).toBe(
+      new SalaryPredictor({ experienceYears: 5 }).predict([
+        "Python",
+        "Docker",
+        "Kubernetes",
+      ]).estimatedSalary
+    );
+    expect(points[1].seniorBonus).toBe(0);
+    expect(points[2].seniorBonus).toBe(0.2);
+    expect(points[12].experienceCapped).toBe(true);
+    expect(points[13].change).toBe(0);
+    expect(predictor.experienceYears).toBe(3);
+  });
+
+  test("compounds market growth over the projection", () => {
+    const predictor = new SalaryPredictor({ experienceYears: 20 });
+    const trajectory = predictor.projectTrajectory(["Go"], {
+      years: 2,
+      marketGrowth: 0.05,
+    });
+    const [today, , later] = trajectory.points;
+
+    expect(later.estimatedSalary).toBeCloseTo(
+      today.estimatedSalary * 1.05 * 1.05,
+      -1
+    );
+    expect(trajectory.totalChangePercent).toBeCloseTo(10.25, 1);
+    expect(() => predictor.projectTrajectory(["Go"], { years: 0 })).toThrow(
+      /years/
+    );
+  });
+
+  test("resolves each trajectory skill once", () => {
+    const predictor = new SalaryPredictor({ experienceYears: 2 });
+    const plain = predictor.predict(["Go", "Blorp"]);
+    const match = jest.spyOn(predictor.resolver, "match");
+    const trajectory = predictor.projectTrajectory(["Go", "Blorp"], {
+      years: 40,
+    });
+
+    expect(match).toHaveBeenCalledTimes(0);
+    expect(trajectory.points[0].salaryRange).toEqual(plain.salaryRange);
+  });
+
+  test("applies industry, company size and stage modifiers", () => {
+    const plain = new SalaryPredictor({ experienceYears: 4 }).predict(["Go"]);
+    const result = new SalaryPredictor({
+      experienceYears: 4,
+      industry: "fintech",
+      companySize: "enterprise",
+      companyStage: "public",
+    }).predict(["Go"], { explain: true });
+    const { breakdown } = result;
+
+    expect(result.industry).toBe("fintech");
+    expect(breakdown.industryMultiplier).toBe(1.1);
+    expect(breakdown.companySizeMultiplier).toBe(1.15);
+    expect(breakdown.companyStageMultiplier).toBe(1.05);
+    expect(result.estimatedSalary).toBeCloseTo(
+      plain.estimatedSalary * 1.1 * 1.15 * 1.05,
+      -1
+    );
+    expect(result.explanation.company).toBeGreaterThan(0);
+    expect(plain.breakdown.equity).toBeNull();
+    expect(plain.totalCompensation).toBeUndefined();
+    expect(() => new SalaryPredictor({ industry: "mining" })).toThrow(
+      /Unknown industry/
+    );
+  });
+
+  test("reports startup equity next to the cash salary", () => {
+    const result = new SalaryPredictor({ companyStage: "Series A" }).predict([
+      "React",
+    ]);
+    const { equity } = result.breakdown;
+
+    expect(result.companyStage).toBe("seriesa");
+    expect(equity.annualGrant).toBeCloseTo(
+      result.estimatedSalary * equity.grant,
+      -1
+    );
+    expect(equity.expectedValue).toBeCloseTo(
+      equity.annualGrant * equity.realisation,
+      -1
+    );
+    expect(result.totalCompensation).toBe(
+      result.estimatedSalary + equity.expectedValue
+    );
+  });
+
+  test("scores certifications apart from skills", () => {
+    const plain = new SalaryPredictor().predict(["Go"]);
+    const result = new SalaryPredictor({
+      certifications: ["CKA", "Made-up Cert"],
+    }).predict(["Go"]);
+
+    expect(result.skills.matched).toEqual(["go"]);
+    expect(result.credentials.matched).toEqual(["cka"]);
+    expect(result.credentials.unmatched).toEqual(["Made-up Cert"]);
+    expect(result.breakdown.skillMultiplier).toBe(
+      plain.breakdown.skillMultiplier
+    );
+    expect(result.breakdown.certificationMultiplier).toBe(1.08);
+    expect(result.estimatedSalary).toBeCloseTo(
+      plain.estimatedSalary * 1.08,
+      -1
+    );
+  });
+
+  test("discounts a certification on top of its own skill", () => {
+    const alone = new SalaryPredictor({ certifications: ["CKA"] }).predict([
+      "Go",
+    ]);
+    const withSkill = new SalaryPredictor({
+      certifications: ["Certified Kubernetes Administrator"],
+      education: "master",
+    }).predict(["Go", "Kubernetes"], { explain: true });
+    const [cka] = withSkill.breakdown.certifications;
+
+    expect(cka.overlapping).toBe(true);
+    expect(cka.uplift).toBeLessThan(alone.breakdown.certifications[0].uplift);
+    expect(withSkill.breakdown.educationMultiplier).toBe(1.06);
+    expect(withSkill.education).toBe("master");
+    expect(withSkill.explanation.credentials).toBeGreaterThan(0);
+    expect(() => new SalaryPredictor({ education: "diploma" })).toThrow(
+      /Unknown education level/
+    );
+  });
+
+  test("does not take object prototype keys for credentials", () => {
+    const result = new SalaryPredictor({
+      certifications: ["constructor", "CKA"],
+    }).predict(["React"]);
+
+    expect(result.credentials.matched).toEqual(["cka"]);
+    expect(result.credentials.unmatched).toEqual(["constructor"]);
+    expect(Number.isFinite(result.estimatedSalary)).toBe(true);
+    expect(() => new SalaryPredictor({ education: "constructor" })).toThrow(
+      /Unknown education level/
+    );
+  });
+
+  test("dates predictions with region and skill trends", () => {
+    const today = new SalaryPredictor().predict(["Rust"]);
+    const earlier = new SalaryPredictor({ asOf: "2022" }).predict(["Rust"]);
+    const base = new SalaryPredictor().predict(["Rust"], {
+      asOf: "2025-01-01",
+    });
+
+    expect(today.asOf).toBe("2025-01-01");
+    expect(today.breakdown.trends).toBeNull();
+    expect(base.estimatedSalary).toBe(today.estimatedSalary);
+    expect(earlier.asOf).toBe("2022-01-01");
+    expect(earlier.breakdown.trends.regionIndex).toBe(0.93);
+    expect(earlier.breakdown.trends.skillDemand).toEqual({ rust: 0.8 });
+    expect(earlier.breakdown.skillMultiplier).toBeLessThan(
+      today.breakdown.skillMultiplier
+    );
+    expect(earlier.estimatedSalary).toBeLessThan(today.estimatedSalary);
+  });
+
+  test("projects past the dated values within the model's limit", () => {
+    const predictor = new SalaryPredictor({ region: "EU" });
+    const projected = predictor.predict(["Go"], { asOf: 2027 });
+
+    expect(projected.breakdown.trends.projected).toBe(true);
+    expect(projected.estimatedSalary).toBeGreaterThan(
+      predictor.predict(["Go"]).estimatedSalary
+    );
+    expect(() => predictor.predict(["Go"], { asOf: 2040 })).toThrow(
+      /outside the model's dated values/
+    );
+    expect(() => predictor.predict(["Go"], { asOf: "soon" })).toThrow(
+      /Invalid asOf date/
+    );
+  });
+
+  test("prices contract and freelance work as day rates", () => {
+    const fullTime = new SalaryPredictor({ experienceYears: 5 });
+    const contract = new SalaryPredictor({
+      experienceYears: 5,
+      employmentType: "contract",
+    });
+    const annual = fullTime.predict(["Go"]).estimatedSalary;
+    const result = contract.predict(["Go"]);
+    const { employment } = result.breakdown;
+
+    expect(result.period).toBe("daily");
+    expect(result.employmentType).toBe("contract");
+    expect(employment.billableDaysPerYear).toBe(221);
+    expect(result.estimatedSalary).toBeCloseTo(
+      (annual * (1 + employment.overhead)) / (260 * employment.utilization),
+      0
+    );
+    expect(
+      contract.predict(["Go"], { period: "annual" }).estimatedSalary
+    ).toBeGreaterThan(annual);
+  });
+
+  test("pro-rates part-time pay but not its hourly rate", () => {
+    const fullTime = new SalaryPredictor();
+    const partTime = new SalaryPredictor({ employmentType: "part-time" });
+
+    expect(partTime.predict(["Go"]).estimatedSalary).toBe(
+      Math.round(fullTime.predict(["Go"]).estimatedSalary / 2)
+    );
+    expect(partTime.predict(["Go"], { period: "hourly" }).estimatedSalary).toBe(
+      fullTime.predict(["Go"], { period: "hourly" }).estimatedSalary
+    );
+    expect(() => new SalaryPredictor({ employmentType: "gig" })).toThrow(
+      /Unknown employment type/
+    );
+  });
+
+  test("prices remote work under each pay policy", () => {
+    const options = {
+      employeeRegion: "NG",
+      employerRegion: "US",
+      targetCurrency: "USD",
+    };
+    const local = new SalaryPredictor(options).predict(["Go"]);
+    const employer = new SalaryPredictor({
+      ...options,
+      payPolicy: "employer",
+    }).predict(["Go"]);
+    const { payPolicies } = local;
+
+    expect(local.region).toBe("NG");
+    expect(local.payPolicy).toBe("local");
+    expect(local.estimatedSalary).toBe(payPolicies.local.amount);
+    expect(employer.estimatedSalary).toBe(payPolicies.employer.amount);
+    expect(payPolicies.blend.amount).toBeCloseTo(
+      (payPolicies.local.amount + payPolicies.employer.amount) / 2,
+      -1
+    );
+    expect(payPolicies.geotier.tier).toBe(0.55);
+    expect(
+      new SalaryPredictor({ region: "NG" }).predict(["Go"]).payPolicies
+    ).toBeUndefined();
+  });
+
+  test("accepts custom geo tiers and blend weights", () => {
+    const result = new SalaryPredictor({
+      region: "IN",
+      employerRegion: "UK",
+      payPolicy: "geo-tier",
+      geoTiers: { IN: 0.7 },
+      blendWeight: 0.25,
+    }).predict(["Go"]);
+
+    expect(result.payPolicies.geotier.tier).toBe(0.7);
+    expect(result.payPolicies.blend.weight).toBe(0.25);
+    expect(result.estimatedSalary).toBe(result.payPolicies.geotier.amount);
+    expect(() => new SalaryPredictor({ employerRegion: "XX" })).toThrow(
+      /Unknown employer region/
+    );
+    expect(
+      () => new SalaryPredictor({ region: "IN", payPolicy: "employer" })
+    ).toThrow(/Pay policy employer needs an employerRegion/);
+  });
+
   test("batch prediction works", () => {
     const skillSets = [
       ["React", "TypeScript"],
@@ -0,0 +1,49 @@
+// tests/routes.test.js
+const Fastify = require("fastify");
+const compensationRoutes = require("../api/routes/compensation");
+
+describe("API routes", () => {
+  let app;
+
+  beforeAll(async () => {
+    app = Fastify();
+    app.register(compensationRoutes);
+    await app.ready();
+  });
+
+  afterAll(() => app.close());
+
+  const offer = (body) =>
+    app.inject({
+      method: "POST",
+      url: "/api/offers/evaluate",
+      payload: { skills: ["Go"], offer: { amount: 90000 }, ...body },
+    });
+
+  test("rejects a remote pay policy without an employer region", async () => {
+    const missing = await offer({ region: "IN", payPolicy: "employer" });
+    expect(missing.statusCode).toBe(400);
+    expect(missing.json().message).toMatch(/needs an employerRegion/);
+
+    const remote = await offer({
+      region: "IN",
+      employerRegion: "US",
+      payPolicy: "employer",
+    });
+    expect(remote.statusCode).toBe(200);
+  });
+
+  test("checks profile keys against the model", async () => {
+    const unknown = await offer({ role: "astronaut" });
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.json().message).toMatch(/Unknown role: astronaut/);
+
+    const named = await offer({ role: "Backend", companyStage: "series-a" });
+    expect(named.statusCode).toBe(200);
+
+    const level = await offer({
+      skills: [{ name: "Go", level: "constructor" }],
+    });
+    expect(level.statusCode).toBe(400);
+  });
+});
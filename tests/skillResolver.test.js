@@ -0,0 +1,86 @@
+// tests/skillResolver.test.js
+const { SkillResolver } = require("../core/skillResolver");
+const data = require("../core/data");
+
+describe("SkillResolver", () => {
+  let resolver;
+
+  beforeEach(() => {
+    resolver = new SkillResolver(data.skills, data.aliases);
+  });
+
+  test("normalizes meaningful punctuation", () => {
+    expect(SkillResolver.normalize("C++")).toBe("cpp");
+    expect(SkillResolver.normalize("C#")).toBe("csharp");
+    expect(SkillResolver.normalize(" Node.js ")).toBe("nodejs");
+  });
+
+  test("resolves exact names and aliases", () => {
+    expect(resolver.resolve("PostgreSQL")).toMatchObject({
+      skill: "postgresql",
+      method: "exact",
+    });
+    expect(resolver.resolve("k8s")).toMatchObject({
+      skill: "kubernetes",
+      method: "alias",
+    });
+    expect(resolver.resolve("golang").skill).toBe("go");
+    expect(resolver.resolve("ML").skill).toBe("machinelearning");
+    expect(resolver.resolve("GitHub Actions CI").skill).toBe("githubactions");
+  });
+
+  test("tolerates typos in longer names", () => {
+    expect(resolver.resolve("Kubernets")).toMatchObject({
+      skill: "kubernetes",
+      method: "fuzzy",
+    });
+    expect(resolver.resolve("Typscript").skill).toBe("typescript");
+  });
+
+  test("does not fuzzy match short names", () => {
+    expect(resolver.resolve("gp").skill).toBeNull();
+  });
+
+  test("does not correct distinct technologies to a similar skill", () => {
+    ["MSSQL", "SQL Server", "Preact", "Sprint"].forEach((name) => {
+      expect(resolver.resolve(name).skill).toBeNull();
+    });
+    // The first letter must match, even outside the near-miss list
+    expect(resolver.resolve("Mextjs").skill).toBeNull();
+    expect(resolver.resolve("Nextsj").skill).toBe("nextjs");
+  });
+
+  test("maps .NET frameworks to C#", () => {
+    [".NET Core", "ASP.NET", "ASP.NET Core"].forEach((name) => {
+      expect(resolver.resolve(name)).toMatchObject({
+        skill: "csharp",
+        method: "alias",
+      });
+    });
+  });
+
+  test("leaves object prototype names unmatched", () => {
+    ["constructor", "toString", "__proto__", "hasOwnProperty"].forEach(
+      (name) => {
+        expect(resolver.resolve(name).skill).toBeNull();
+      }
+    );
+  });
+
+  test("reuses resolutions of the same name", () => {
+    const match = jest.spyOn(resolver, "match");
+    const first = resolver.resolve("Blorp");
+    const second = resolver.resolve(" blorp ");
+
+    expect(match).toHaveBeenCalledTimes(1);
+    expect(second).toEqual({ ...first, input: " blorp " });
+    expect(second.suggestions).not.toBe(first.suggestions);
+  });
+
+  test("suggests close skills for unmatched input", () => {
+    const result = resolver.resolve("jav");
+
+    expect(result.skill).toBeNull();
+    expect(result.suggestions).toContain("java");
+  });
+});
@@ -0,0 +1,64 @@
+// tests/teams.test.js
+const { estimateTeam } = require("../core/teams");
+const { SalaryPredictor } = require("../core/predictor");
+
+describe("estimateTeam", () => {
+  const backend = new SalaryPredictor({ experienceYears: 5 }).predict([
+    "Go",
+    "PostgreSQL",
+  ]);
+  const frontend = new SalaryPredictor({ region: "EU" }).predict(["React"], {
+    targetCurrency: "USD",
+  });
+
+  test("prices positions for the year and for the plan", () => {
+    const estimate = estimateTeam(
+      [{ label: "Backend", headcount: 2 }, { startMonth: 7 }],
+      [backend, frontend]
+    );
+    const [first, second] = estimate.positions;
+
+    expect(estimate.currency).toBe("USD");
+    expect(first.annualCost).toBe(backend.estimatedSalary * 2);
+    expect(first.planCost).toBe(first.annualCost);
+    expect(second.label).toBe("Position 2");
+    expect(second.monthsActive).toBe(6);
+    expect(second.planCost).toBe(Math.round(frontend.estimatedSalary / 2));
+    expect(second.envelope.min.annual).toBe(frontend.salaryRange.min);
+    expect(second.envelope.max.annual).toBe(frontend.salaryRange.max);
+    expect(estimate.totals.headcount).toBe(3);
+    expect(estimate.totals.annualCost).toBe(
+      first.annualCost + second.annualCost
+    );
+  });
+
+  test("builds a monthly burn schedule", () => {
+    const estimate = estimateTeam(
+      [{ headcount: 2 }, { startMonth: 7 }],
+      [backend, frontend]
+    );
+    const { burn } = estimate;
+
+    expect(burn).toHaveLength(12);
+    expect(burn[0].headcount).toBe(2);
+    expect(burn[6].headcount).toBe(3);
+    expect(burn[0].cost).toBe(Math.round((backend.estimatedSalary * 2) / 12));
+    expect(burn[6].cost).toBeGreaterThan(burn[5].cost);
+    expect(burn[6].min).toBeLessThan(burn[6].cost);
+    expect(burn[6].max).toBeGreaterThan(burn[6].cost);
+    expect(burn[11].cumulative).toBeCloseTo(estimate.totals.planCost, -1);
+  });
+
+  test("rejects invalid plans", () => {
+    expect(() =>
+      estimateTeam([{ startMonth: 13 }], [backend], { months: 12 })
+    ).toThrow(/Start month/);
+    expect(() => estimateTeam([{ headcount: 0 }], [backend])).toThrow(
+      /Headcount/
+    );
+    const daily = new SalaryPredictor({ employmentType: "contract" }).predict([
+      "Go",
+    ]);
+    expect(() => estimateTeam([{}], [daily])).toThrow(/annual/);
+  });
+});
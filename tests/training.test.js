@@ -0,0 +1,129 @@
+// tests/training.test.js
+const { parseCsv, normalizeRecords } = require("../core/dataset");
+const { trainModel } = require("../core/training");
+const { SalaryPredictor } = require("../core/predictor");
+const { getDefaultModelPack } = require("../core/modelPack");
+
+function syntheticRecords() {
+  const records = [];
+  const profiles = [["react"], ["rust"], ["react", "rust"], ["python"]];
+  const uplift = { react: 1.1, rust: 1.5, python: 1.2 };
+
+  ["US", "EU"].forEach((region) => {
+    const base = region === "US" ? 100000 : 60000;
+    profiles.forEach((skills) => {
+      [0, 2, 4].forEach((experienceYears) => {
+        const multiplier = skills.reduce((m, s) => m * uplift[s], 1);
+        records.push({
+          skills,
+          region,
+          experienceYears,
+          salary: Math.round(base * multiplier * (1 + 0.05 * experienceYears)),
+        });
+      });
+    });
+  });
+
+  return records;
+}
+
+describe("dataset", () => {
+  test("parses CSV rows with quoted skill lists", () => {
+    const rows = parseCsv(
+      'skills,region,years,salary\n"React; Node.js",US,3,95000\nGo|gRPC,EU,6,70000\n'
+    );
+    const records = normalizeRecords(rows);
+
+    expect(records).toEqual([
+      {
+        skills: ["React", "Node.js"],
+        region: "US",
+        experienceYears: 3,
+        salary: 95000,
+      },
+      {
+        skills: ["Go", "gRPC"],
+        region: "EU",
+        experienceYears: 6,
+        salary: 70000,
+      },
+    ]);
+  });
+
+  test("rejects records without a salary", () => {
+    expect(() => normalizeRecords([{ skills: "React" }])).toThrow(/salary/);
+  });
+});
+
+describe("trainModel", () => {
+  test("fits base salaries and skill weights", () => {
+    const { pack, report } = trainModel(syntheticRecords(), {
+      version: "test-trained",
+      lambda: 0.01,
+    });
+
+    expect(pack.version).toBe("test-trained");
+    expect(pack.baseSalaries.US).toBeGreaterThan(pack.baseSalaries.EU);
+    expect(pack.skills.rust).toBeGreaterThan(pack.skills.python);
+    expect(pack.skills.python).toBeGreaterThan(pack.skills.react);
+    expect(report.skills.find((s) => s.skill === "rust").samples).toBe(12);
+    expect(report.residuals.logRmse).toBeLessThan(0.05);
+  });
+
+  test("fits the predictor's own form with several skills per category", () => {
+    // Salaries priced by the predictor itself, under different weights
+    const truth = getDefaultModelPack();
+    truth.version = "truth";
+    truth.baseSalaries = { ...truth.baseSalaries, US: 110000 };
+    truth.skills = { ...truth.skills, rust: 1.45, python: 1.3, react: 1.05 };
+    truth.experience = { ...truth.experience, perYear: 0.07 };
+    const profiles = [
+      ["react", "vue", "typescript", "javascript"],
+      ["python", "go", "rust", "postgresql", "mongodb"],
+      ["aws", "kubernetes", "docker", "terraform"],
+      ["react", "nodejs", "typescript", "postgresql", "aws"],
+      ["python", "pytorch", "tensorflow", "machinelearning"],
+      ["go", "kubernetes", "aws", "gcp"],
+    ];
+    const records = [];
+    ["US", "EU"].forEach((region) => {
+      profiles.forEach((skills) => {
+        [1, 6].forEach((experienceYears) => {
+          const predictor = new SalaryPredictor({
+            model: truth,
+            region,
+            experienceYears,
+            targetCurrency: "USD",
+          });
+          records.push({
+            skills,
+            region,
+            experienceYears,
+            salary: predictor.predict(skills).estimatedSalary,
+          });
+        });
+      });
+    });
+
+    const options = { lambda: 0.001, regionLambda: 0.001 };
+    const untrained = trainModel(records, { ...options, maxIterations: 0 });
+    const { report } = trainModel(records, options);
+
+    expect(untrained.report.residuals.mape).toBeGreaterThan(5);
+    expect(report.residuals.mape).toBeLessThan(1);
+    expect(report.residuals.logRmse).toBeLessThan(0.01);
+  });
+
+  test("keeps prior weights for skills without samples", () => {
+    const { pack } = trainModel(syntheticRecords());
+
+    expect(pack.skills.elixir).toBeCloseTo(1.2, 2);
+  });
+
+  test("produces a pack the predictor can load", () => {
+    const { pack } = trainModel(syntheticRecords(), { version: "loadable" });
+    const predictor = new SalaryPredictor({ model: pack });
+
+    expect(predictor.predict(["Rust"]).modelVersion).toBe("loadable");
+  });
+});
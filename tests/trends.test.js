@@ -0,0 +1,58 @@
+// tests/trends.test.js
+const { parseDate, seriesAt, trendsAt } = require("../core/trends");
+const { InputError } = require("../core/errors");
+const { loadModelPack, getDefaultModelPack } = require("../core/modelPack");
+
+describe("trends", () => {
+  const series = { 2020: 0.8, 2022: 0.9, 2024: 1.0 };
+
+  test("parses years, months and days", () => {
+    expect(parseDate(2027)).toEqual({ date: "2027-01-01", year: 2027 });
+    expect(parseDate("2023-07-02").year).toBeCloseTo(2023.5, 2);
+    expect(parseDate("2023-06").date).toBe("2023-06-01");
+    expect(() => parseDate("soon")).toThrow(InputError);
+    expect(() => parseDate("2023-13")).toThrow(/Invalid asOf date/);
+  });
+
+  test("interpolates between years and projects beyond them", () => {
+    expect(seriesAt(series, 2021, 5)).toEqual({
+      value: expect.closeTo(0.85, 6),
+      projected: false,
+    });
+    expect(seriesAt(series, 2026, 5)).toEqual({
+      value: expect.closeTo(1.1, 6),
+      projected: true,
+    });
+    expect(seriesAt(series, 2018, 5).value).toBeCloseTo(0.7, 6);
+    expect(() => seriesAt(series, 2030, 5)).toThrow(
+      /more than 5 years outside the model's dated values \(2020-2024\)/
+    );
+  });
+
+  test("reads indices relative to the base date", () => {
+    const trends = {
+      baseDate: "2024-01-01",
+      maxProjectionYears: 5,
+      regions: { US: series },
+      skills: { rust: { 2020: 0.5, 2024: 1.0 } },
+    };
+
+    const result = trendsAt(trends, 2022);
+    expect(result.date).toBe("2022-01-01");
+    expect(result.baseDate).toBe("2024-01-01");
+    expect(result.regions.US).toBe(0.9);
+    expect(result.skills.rust).toBe(0.75);
+    expect(result.projected).toBe(false);
+    expect(trendsAt(trends, "2024-01-01").regions.US).toBe(1);
+  });
+
+  test("rejects trends for unknown skills", () => {
+    const pack = getDefaultModelPack();
+    pack.trends = {
+      ...pack.trends,
+      skills: { ...pack.trends.skills, cobol: { 2024: 1.0 } },
+    };
+
+    expect(() => loadModelPack(pack)).toThrow(/unknown skill "cobol"/);
+  });
+});